@@ -25,6 +25,10 @@ const Address = 'Address';
 //            to store last geocoded Address. Enables map widget
 //            to automatically update the geocoding if Address is changed
 const GeocodedAddress = 'GeocodedAddress';
+// Optional - switch column to trigger reverse geocoding: an empty Address is filled from the location
+const ReverseGeocode = 'ReverseGeocode';
+// Optional - column where geocoding writes "ok", "not found", "ambiguous (n results)" or an error
+const GeocodeStatus = 'GeocodeStatus';
 // Optional - column with JSON style for GeoJSON features (Leaflet path options)
 const Style = 'Style';
 // Optional - column to group features into toggleable map layers
@@ -33,20 +37,78 @@ const Layer = 'Layer';
 const Popup = 'Popup';
 // Optional - multiple columns to display in the hover tooltip
 const Tooltip = 'Tooltip';
+// Optional - popup template of the row, overriding the "Popup template" setting (see renderTemplate)
+const PopupTemplate = 'PopupTemplate';
 // Optional - permanent text label displayed on the feature
 const Label = 'Label';
 // Optional - columns to prompt for when saving a newly drawn shape
 const NewShapeFields = 'NewShapeFields';
 // Optional - JSON style for the label (bearing, fontSize, color, fontWeight, dynamicSize, minZoom, maxZoom, opacity)
 const LabelStyle = 'LabelStyle';
+// Optional - numeric columns filled with the geodesic area, length and perimeter of shapes
+//            created or edited with the draw toolbar (in the "Measurement units" setting)
+const Area = 'Area';
+const Length = 'Length';
+const Perimeter = 'Perimeter';
+// Optional - centre ([lng, lat] JSON) and radius (m) of circles drawn on the map, so they
+//            can be edited as circles again
+const CircleCenter = 'CircleCenter';
+const CircleRadius = 'CircleRadius';
+// Optional - numeric heatmap weight / value aggregated by hexagonal bins (coordinate mode)
+const Weight = 'Weight';
+// Optional - dates (Date or DateTime) between which the time slider shows a row, or the single
+//            date on which it shows it. A blank start or end leaves the period open.
+const StartDate = 'StartDate';
+const EndDate = 'EndDate';
+const SingleDate = 'Date';
 let lastRecord;
 let lastRecords;
 let rawRecordsById = {};
 let additionalLayersConfig = [];
+let basemapsConfig = []; // "Basemaps and map services" setting, see createTileSource
+let selectedBasemap = ''; // name of the basemap chosen in the layer control (option "basemap")
+let tableCrs = ''; // "Coordinate system" setting: CRS of the mapped table's geometries (empty = WGS84)
+let thematicConfig = null; // "Thematic style" setting, see computeThematicClassifier
+let thematicLegend = []; // [{label, color}] — classes of the current thematic style
+let thematicLegendTitle = ''; // column label shown above the thematic classes in the legend
+let popupTemplate = ''; // "Popup template" setting, see renderTemplate
+let tooltipTemplate = ''; // "Tooltip template" setting
+let popupFieldConfigs = {}; // {colId: column config} of the mapped table, for display values in popups
+let popupFieldConfigsLoad = null; // { key, columns, recordsVersion, values } — promises of syncPopupFieldConfigs
+let recordsVersion = 0; // incremented on each onRecords call
+let legendEntriesConfig = []; // custom legend entries from settings: [{label, type, ...path options}]
 let lastKnownMappings = null; // cache last non-null mappings (Grist may send null on data-only updates)
 let showPrintButton = false;
 let showDrawToolbar = false;
 let showDeleteToolbar = false;
+let showLegend = false;
+let showExportButton = false;
+let showImportButton = false;
+let showSelectionTool = false;
+let showSearch = false;
+let showMeasureTool = false;
+let showPopupEdit = false;
+let showGeometryTools = false;
+let showGallery = false;
+let photoMarkers = false; // rows with an image in their Attachments Popup columns are drawn as that image
+let circleSegments = 64; // vertices of the polygons that store drawn circles
+let circleProperties = false; // keep circle centre and radius in the `properties` of a GeoJSON Feature
+let areaUnit = 'm2'; // unit of the Area column and of measurements: 'm2', 'ha' or 'km2'
+let lengthUnit = 'm'; // unit of the Length/Perimeter columns and of measurements: 'm' or 'km'
+let reverseGeocodeNewShapes = false; // fill Address of shapes/points created on the map
+let geocodeBoundingBox = false; // geocode into the GeoJSON column as the result's bounding box polygon
+let snapTolerance = 0; // pixels within which drawn and edited vertices snap to existing features (0 = off)
+let editSharedBoundaries = false; // dragging a vertex also moves the same vertex of other shapes
+let pointDisplay = 'markers'; // coordinate mode rendering: 'markers', 'heatmap' or 'hexbin'
+let hexbinAggregate = 'count'; // hexagon colour: 'count', or 'sum' / 'mean' of the Weight column
+let hexbinSize = 20; // hexagon radius in pixels
+let showTimeSlider = false;
+let timeStep = 'day'; // time slider step: 'day', 'week', 'month' or 'year'
+let timeCumulative = false; // time slider shows every row started by the chosen date, ended or not
+let publishTimeRows = false; // filter linked widgets to the rows shown at the time slider's date
+let tileMaxNativeZoom = 19; // default last zoom level at which tile servers have tiles
+let tileMaxZoom = 22; // default zoom limit of the map
+let overzoomTiles = false; // default: enlarge tiles beyond maxNativeZoom instead of hiding them
 
 function applyPrintButtonVisibility() {
   document.querySelector('div.print').style.display = showPrintButton ? '' : 'none';
@@ -114,28 +176,209 @@ const selectedRowClusterIconFactory = function (selectedMarkerGetter) {
   }
 };
 
-let geocoder = L.Control.Geocoder && L.Control.Geocoder.nominatim();
-if (URLSearchParams && location.search && geocoder) {
-  const c = new URLSearchParams(location.search).get('geocoder');
-  if (c && L.Control.Geocoder[c]) {
-    console.log('Using geocoder', c);
-    geocoder = L.Control.Geocoder[c]();
-  } else if (c) {
-    console.warn('Unsupported geocoder', c);
-  }
+// Geocoder settings. An empty provider falls back to the ?geocoder= URL parameter, then Nominatim.
+let geocoderProvider = '';
+let geocoderUrl = ''; // base URL of a self-hosted service (empty = the provider's public one)
+let geocoderApiKey = '';
+let geocoderDelay = 1000; // ms between two lookups of a geocoding batch
+let urlGeocoderProvider = '';
+if (URLSearchParams && location.search) {
+  urlGeocoderProvider = new URLSearchParams(location.search).get('geocoder') || '';
   const m = new URLSearchParams(location.search).get('mode');
   if (m) { mode = m; }
 }
 
-async function geocode(address) {
-  const results = await geocoder.geocode(address);
-  let v = results[0];
+// Create a leaflet-control-geocoder instance for the geocoder settings (null if not loaded).
+function createGeocoder(provider, serviceUrl, apiKey) {
+  if (!L.Control.Geocoder) { return null; }
+  if (provider && !L.Control.Geocoder[provider]) {
+    console.warn('Unsupported geocoder', provider);
+    provider = '';
+  }
+  const options = {};
+  if (serviceUrl) {
+    options.serviceUrl = serviceUrl;
+    // Photon answers reverse queries on a sibling endpoint (.../api/ → .../reverse/)
+    if (provider === 'photon') { options.reverseUrl = serviceUrl.replace(/api\/?$/, 'reverse/'); }
+  }
+  if (apiKey) { options.apiKey = apiKey; }
+  return L.Control.Geocoder[provider || 'nominatim'](options);
+}
+
+let geocoder = createGeocoder(urlGeocoderProvider, '', '');
+
+// Scale passed to geocoder.reverse — street-level detail (zoom 18).
+const REVERSE_GEOCODE_SCALE = 256 * Math.pow(2, 18);
+
+// Find the address of a WGS84 latlng. Returns the geocoder results, best first.
+async function reverseGeocode(latlng) {
+  return geocoder.reverse(latlng, REVERSE_GEOCODE_SCALE);
+}
 
-  if (v) {
-    v = v.center;
+// WGS84 latlng to reverse geocode for a (mapped) record: its point, or the centroid of its
+// geometry. Null if the record has no location.
+function recordLocation(record) {
+  let geojson = null;
+  if (record[GeoJSON]) {
+    geojson = parseGeometryValue(record[GeoJSON]);
+  } else if (typeof record[Longitude] === 'number' && typeof record[Latitude] === 'number') {
+    geojson = { type: 'Point', coordinates: [record[Longitude], record[Latitude]] };
   }
+  const center = geojson && geometryCentroid(geoJSONToWGS84(geojson, tableCrs));
+  return center ? L.latLng(center[1], center[0]) : null;
+}
 
-  return v;
+// "rowId:address" and "rowId:lat,lng" of lookups that failed or found nothing, so they
+// are not repeated on every update (until the widget is reloaded).
+const failedLookups = new Set();
+
+// Results scoring at least this share of the best result's score compete with it.
+const AMBIGUOUS_SCORE_RATIO = 0.9;
+
+// Relevance the provider gives a geocoder result (Nominatim importance, Mapbox relevance,
+// Pelias confidence), or null if it gives none.
+function geocodeScore(result) {
+  const props = result.properties || {};
+  const score = props.importance ?? props.relevance ?? props.confidence;
+  return typeof score === 'number' ? score : null;
+}
+
+// GeocodeStatus value for the results of a forward lookup. Providers list more than one
+// result for most addresses; only those scoring about as well as the first make it ambiguous.
+function geocodeStatus(results) {
+  if (results.length === 0) { return 'not found'; }
+  const best = geocodeScore(results[0]);
+  if (best === null) { return 'ok'; } // no scores: the provider's first result is its match
+  const competing = results.filter((result) => {
+    const score = geocodeScore(result);
+    return score !== null && score >= best * AMBIGUOUS_SCORE_RATIO;
+  }).length;
+  return competing > 1 ? 'ambiguous (' + competing + ' results)' : 'ok';
+}
+
+// Fields recording the outcome of a lookup: GeocodedAddress cache and GeocodeStatus (when mapped).
+function geocodeResultFields(mappings, address, status) {
+  return {
+    ...(address !== undefined && GeocodedAddress in mappings && mappings[GeocodedAddress])
+      ? {[mappings[GeocodedAddress]]: address} : undefined,
+    ...(GeocodeStatus in mappings && mappings[GeocodeStatus]) ? {[mappings[GeocodeStatus]]: status} : undefined,
+  };
+}
+
+// Geocoding writes a geometry into the GeoJSON column when the coordinate columns aren't mapped.
+function geocodesIntoGeoJSON(mappings) {
+  return !!mappings[GeoJSON] && !(mappings[Longitude] && mappings[Latitude]);
+}
+
+// WGS84 geometry for a geocoder result: its bounding box as a polygon when the "Geocode
+// areas as bounding boxes" setting is on (and the box has an area), else its point.
+function geocodedGeometry(result) {
+  const bbox = result.bbox;
+  if (geocodeBoundingBox && bbox && bbox.getWest() !== bbox.getEast() && bbox.getSouth() !== bbox.getNorth()) {
+    const [w, s, e, n] = [bbox.getWest(), bbox.getSouth(), bbox.getEast(), bbox.getNorth()];
+    return { type: 'Polygon', coordinates: [[[w, s], [e, s], [e, n], [w, n], [w, s]]] };
+  }
+  return { type: 'Point', coordinates: [result.center.lng, result.center.lat] };
+}
+
+// Does the (mapped) record need to be geocoded from its address?
+function needsGeocoding(record, mappings) {
+  // The value in the Geocode column is truthy, and there is an address to search.
+  if (!record[Geocode] || !record.Address) { return false; }
+  if (failedLookups.has(record.id + ':' + record.Address)) { return false; }
+  // Little caching here. We set GeocodedAddress to last address we searched,
+  // so after next round - we check if the address is indeed changed.
+  // But this field is optional, if it is not in the record (not mapped)
+  // we find the location each time coordinates are empty.
+  if (record[GeocodedAddress]) {
+    // Same address: we have already (successfully or not) attempted to geocode it.
+    // Different address: search again (as if the record wasn't scanned before).
+    return record[GeocodedAddress] != record.Address;
+  }
+  return geocodesIntoGeoJSON(mappings) ? !record[GeoJSON] : !record[Longitude];
+}
+
+// Geocode a record's address into its Longitude/Latitude columns, or its GeoJSON column.
+async function geocodeRecord(tableId, record, mappings) {
+  const address = record.Address;
+  let results;
+  try {
+    results = await geocoder.geocode(address);
+  } catch (err) {
+    console.error('Error geocoding ' + address + ':', err);
+    failedLookups.add(record.id + ':' + address);
+    if (mappings[GeocodeStatus]) {
+      await grist.docApi.applyUserActions([ ['UpdateRecord', tableId, record.id,
+        geocodeResultFields(mappings, undefined, err.message || String(err))] ]);
+    }
+    return;
+  }
+  // Not looked up again without a GeocodedAddress column to remember it by
+  if (results.length === 0) { failedLookups.add(record.id + ':' + address); }
+  const result = results[0];
+  let locationFields;
+  if (geocodesIntoGeoJSON(mappings)) {
+    locationFields = {
+      [mappings[GeoJSON]]: result
+        ? formatGeometryValue(geocodedGeometry(result), sampleColumnValue(mappings[GeoJSON])) : null,
+    };
+  } else {
+    const coords = result
+      ? geoJSONFromWGS84({ type: 'Point', coordinates: [result.center.lng, result.center.lat] }, tableCrs).coordinates
+      : null;
+    locationFields = {
+      [mappings[Longitude]]: coords?.[0] ?? null,
+      [mappings[Latitude]]: coords?.[1] ?? null,
+    };
+  }
+  // Update them, and update cache (if the field was mapped)
+  await grist.docApi.applyUserActions([ ['UpdateRecord', tableId, record.id, {
+    ...locationFields,
+    ...geocodeResultFields(mappings, address, geocodeStatus(results)),
+  }] ]);
+}
+
+// Reverse geocode a record (ReverseGeocode set, empty Address) at latlng into its Address column.
+async function reverseScanRecord(tableId, record, latlng, mappings) {
+  const lookupKey = record.id + ':' + latlng.lat + ',' + latlng.lng;
+  let results;
+  try {
+    results = await reverseGeocode(latlng);
+  } catch (err) {
+    console.error('Error reverse geocoding row ' + record.id + ':', err);
+    results = null;
+  }
+  const address = results?.[0]?.name;
+  if (!address) {
+    failedLookups.add(lookupKey);
+    if (mappings[GeocodeStatus]) {
+      await grist.docApi.applyUserActions([ ['UpdateRecord', tableId, record.id,
+        geocodeResultFields(mappings, undefined, results ? 'not found' : 'reverse geocoding failed')] ]);
+    }
+    return;
+  }
+  // Also set GeocodedAddress, so the forward geocoder doesn't look the address up again.
+  await grist.docApi.applyUserActions([ ['UpdateRecord', tableId, record.id, {
+    [mappings[Address]]: address,
+    ...geocodeResultFields(mappings, address, 'ok'),
+  }] ]);
+}
+
+// Fill the Address of a record just created on the map ("Fill Address of new shapes" setting).
+async function reverseGeocodeNewRecord(rowId, geojson, mappings) {
+  if (!reverseGeocodeNewShapes || !geocoder || !rowId || !mappings[Address]) { return; }
+  const center = geometryCentroid(geojson);
+  if (!center) { return; }
+  try {
+    const address = (await reverseGeocode(L.latLng(center[1], center[0])))[0]?.name;
+    if (!address) { return; }
+    await grist.docApi.applyUserActions([['UpdateRecord', selectedTableId, rowId, {
+      [mappings[Address]]: address,
+      ...geocodeResultFields(mappings, address, 'ok'),
+    }]]);
+  } catch (err) {
+    console.error('Error reverse geocoding new record:', err);
+  }
 }
 
 async function delay(ms) {
@@ -144,48 +387,41 @@ async function delay(ms) {
   });
 }
 
+// Show "Geocoding n / total" over the map while a batch is running; done = null hides it.
+function showGeocodeProgress(done, total) {
+  const el = document.getElementById('geocodeProgress');
+  if (!el) { return; }
+  el.style.display = done === null ? 'none' : 'block';
+  if (done !== null) { el.textContent = 'Geocoding ' + (done + 1) + ' / ' + total + '…'; }
+}
+
 // If widget has wright access
 let writeAccess = true;
 // A ongoing scanning promise, to check if we are in progress.
 let scanning = null;
 
 async function scan(tableId, records, mappings) {
-  if (!writeAccess) { return; }
+  if (!writeAccess || !geocoder || tableCrsProblem()) { return; }
+  const lookups = [];
   for (const record of records) {
-    // We can only scan if Geocode column was mapped.
-    if (!(Geocode in record)) { break; }
-    // And the value in the column is truthy.
-    if (!record[Geocode]) { continue; }
-    // Get the address to search.
-    const address = record.Address;
-    // Little caching here. We will set GeocodedAddress to last address we searched,
-    // so after next round - we will check if the address is indeed changed.
-    // But this field is optional, if it is not in the record (not mapped)
-    // we will find the location each time (if coordinates are empty).
-    if (record[GeocodedAddress]) {
-      if (record[GeocodedAddress] == record.Address) {
-        // We have already (successfully or not) attempted to geocode this address, skip it
-        continue;
-      } else {
-        // We have caching field, and last address is diffrent.
-        // So clear coordinates (as if the record wasn't scanned before)
-        record[Longitude] = null;
-        record[Latitude] = null;
-        record[GeoJSON] = null;
+    // Reverse geocoding takes precedence: the location is the source of truth.
+    if (record[ReverseGeocode]) {
+      const latlng = mappings[Address] && !record[Address] ? recordLocation(record) : null;
+      if (latlng && !failedLookups.has(record.id + ':' + latlng.lat + ',' + latlng.lng)) {
+        lookups.push(() => reverseScanRecord(tableId, record, latlng, mappings));
       }
+    } else if (needsGeocoding(record, mappings)) {
+      lookups.push(() => geocodeRecord(tableId, record, mappings));
     }
-    // If address is not empty, and coordinates are empty (or were cleared by cache)
-    if (address && !record[Longitude]) {
-      // Find coordinates.
-      const result = await geocode(address);
-      // Update them, and update cache (if the field was mapped)
-      await grist.docApi.applyUserActions([ ['UpdateRecord', tableId, record.id, {
-        [mappings[Longitude]]: result?.lng ?? null,
-        [mappings[Latitude]]: result?.lat ?? null,
-        ...(GeocodedAddress in mappings && mappings[GeocodedAddress]) ? {[mappings[GeocodedAddress]]: address} : undefined
-      }] ]);
-      await delay(1000);
+  }
+  try {
+    for (let i = 0; i < lookups.length; i++) {
+      showGeocodeProgress(i, lookups.length);
+      if (i > 0) { await delay(geocoderDelay); }
+      await lookups[i]();
     }
+  } finally {
+    showGeocodeProgress(null);
   }
 }
 
@@ -196,6 +432,8 @@ function scanOnNeed(mappings) {
 }
 
 function showProblem(txt) {
+  // The error replaces the map's DOM, so the Leaflet map can't be kept alive.
+  destroyMap();
   document.getElementById('map').innerHTML = '<div class="error">' + txt + '</div>';
 }
 
@@ -220,20 +458,35 @@ function getInfo(rec) {
     layer: Layer in rec ? parseValue(rec[Layer]) : null,
     label: Label in rec ? parseValue(rec[Label]) : null,
     labelStyle: LabelStyle in rec ? parseValue(rec[LabelStyle]) : null,
+    weight: Weight in rec ? parseValue(rec[Weight]) : null,
+    circleCenter: CircleCenter in rec ? parseValue(rec[CircleCenter]) : null,
+    circleRadius: CircleRadius in rec ? parseValue(rec[CircleRadius]) : null,
   };
   return result;
 }
 
+// "Edit" button appended to popups when the popup edit form is enabled (see editRecordFromPopup).
+function popupEditButtonHtml(rawRec) {
+  if (!showPopupEdit || !writeAccess || !rawRec) { return ''; }
+  return '<div class="popup-edit"><button class="popup-edit-button" data-row-id="' + Number(rawRec.id) + '">Edit</button></div>';
+}
+
 function buildPopupContent(name, rawRec, mappings, colLabels) {
+  // A template (the row's PopupTemplate, else the setting) replaces the name and Popup columns
+  const template = (rawRec && mappings?.[PopupTemplate] && parseValue(rawRec[mappings[PopupTemplate]])) || popupTemplate;
+  if (template && rawRec) {
+    return '<div style="max-width:300px">' + renderTemplate(String(template), rawRec, mappings, colLabels)
+      + popupEditButtonHtml(rawRec) + '</div>';
+  }
   // If no Popup columns mapped, fall back to just the name
   if (!mappings || !(Popup in mappings) || !mappings[Popup] || !rawRec) {
-    return DOMPurify.sanitize(String(name || ''));
+    return DOMPurify.sanitize(String(name || '')) + popupEditButtonHtml(rawRec);
   }
   const popupMappings = mappings[Popup];
   // allowMultiple mappings can be a single string or an array
   const colNames = Array.isArray(popupMappings) ? popupMappings : [popupMappings];
   if (colNames.length === 0) {
-    return DOMPurify.sanitize(String(name || ''));
+    return DOMPurify.sanitize(String(name || '')) + popupEditButtonHtml(rawRec);
   }
   let html = '<div style="max-width:300px">';
   if (name) {
@@ -243,14 +496,17 @@ function buildPopupContent(name, rawRec, mappings, colLabels) {
     const val = parseValue(rawRec[col]);
     if (val == null || val === '') { continue; }
     const label = (colLabels && colLabels[col]) ? colLabels[col] : col;
-    html += '<br><em>' + DOMPurify.sanitize(String(label)) + ':</em> '
-          + DOMPurify.sanitize(String(val));
+    html += '<br><em>' + DOMPurify.sanitize(String(label)) + ':</em> ' + cellHtml(val, popupFieldConfigs[col]);
   }
+  html += popupEditButtonHtml(rawRec);
   html += '</div>';
   return html;
 }
 
 function buildTooltipContent(name, rawRec, mappings, colLabels) {
+  if (tooltipTemplate && rawRec) {
+    return '<div style="max-width:260px">' + renderTemplate(tooltipTemplate, rawRec, mappings, colLabels) + '</div>';
+  }
   if (!mappings || !(Tooltip in mappings) || !mappings[Tooltip] || !rawRec) {
     return null; // no tooltip mapping → don't show tooltip
   }
@@ -265,13 +521,317 @@ function buildTooltipContent(name, rawRec, mappings, colLabels) {
     const val = parseValue(rawRec[col]);
     if (val == null || val === '') { continue; }
     const label = (colLabels && colLabels[col]) ? colLabels[col] : col;
-    html += '<br><em>' + DOMPurify.sanitize(String(label)) + ':</em> '
-          + DOMPurify.sanitize(String(val));
+    html += '<br><em>' + DOMPurify.sanitize(String(label)) + ':</em> ' + cellHtml(val, popupFieldConfigs[col]);
   }
   html += '</div>';
   return html;
 }
 
+// Sanitized HTML of a popup or tooltip line's value: thumbnails for Attachments, else display text.
+function cellHtml(value, cfg) {
+  if (cfg?.type === 'Attachments') { return DOMPurify.sanitize(attachmentsHtml(value, cfg), { ADD_ATTR: ['target'] }); }
+  return DOMPurify.sanitize(formatCellValue(value, cfg));
+}
+
+// Columns shown through popupFieldConfigs: the Popup and Tooltip columns, the placeholders
+// of the templates and, for the gallery, the Name column.
+function popupColumnIds(rawRec, mappings, colLabels) {
+  const colIds = [];
+  for (const field of [Popup, Tooltip].concat(showGallery ? [Name] : [])) {
+    if (mappings?.[field]) { colIds.push(...[].concat(mappings[field])); }
+  }
+  const templates = new Set([popupTemplate, tooltipTemplate]);
+  if (mappings?.[PopupTemplate]) {
+    for (const id in rawRecordsById) { templates.add(parseValue(rawRecordsById[id][mappings[PopupTemplate]])); }
+  }
+  for (const template of templates) {
+    if (!template) { continue; }
+    for (const [, expr] of String(template).matchAll(/\{([^{}]+)\}/g)) {
+      const colId = templateColumn(expr.split('|')[0].trim(), rawRec, mappings, colLabels);
+      if (colId !== null) { colIds.push(colId); }
+    }
+  }
+  return [...new Set(colIds.map(String))].filter(colId => colId in rawRec).sort();
+}
+
+// Fetch the column configs used to show Ref, RefList, Attachments and Date cells in popups
+// (see formatCellValue). Column types are fetched when the columns change, display values
+// of referenced rows and attachment names again after each data change. Nothing is fetched
+// when no popup, tooltip, template or gallery uses such columns.
+async function syncPopupFieldConfigs(mappings, colLabels) {
+  const rawRec = rawRecordsById[Object.keys(rawRecordsById)[0]];
+  const colIds = rawRec ? popupColumnIds(rawRec, mappings, colLabels) : [];
+  const key = JSON.stringify([selectedTableId, colIds]);
+  if (popupFieldConfigsLoad?.key !== key) {
+    popupFieldConfigsLoad = { key, columns: colIds.length > 0 ? describeColumns(colIds) : Promise.resolve([]) };
+  }
+  const load = popupFieldConfigsLoad;
+  if (load.recordsVersion !== recordsVersion) {
+    load.recordsVersion = recordsVersion;
+    load.values = load.columns.then(fetchColumnValues);
+  }
+  try {
+    const configs = await load.values;
+    popupFieldConfigs = {};
+    for (const cfg of configs) {
+      if (cfg.refOptions) { cfg.refLabels = new Map(cfg.refOptions.map(o => [o.id, o.label])); }
+      popupFieldConfigs[cfg.colId] = cfg;
+    }
+  } catch (e) {
+    console.warn('Could not fetch column types:', e);
+    if (popupFieldConfigsLoad === load) { popupFieldConfigsLoad = null; }
+  }
+}
+
+// Display text of a cell: display values of referenced rows, file names of attachments,
+// list items separated by commas, dates as YYYY-MM-DD. cfg: the column's config, if known.
+function formatCellValue(value, cfg) {
+  value = parseValue(value);
+  if (value == null || value === '') { return ''; }
+  const type = cfg?.type || '';
+  const refLabel = (id) => cfg.refLabels?.get(id) ?? String(id);
+  if (type.startsWith('Ref:')) { return value ? refLabel(value) : ''; }
+  if (type.startsWith('RefList:')) { return cellList(value).map(refLabel).join(', '); }
+  if (type === 'Attachments') { return cellList(value).map(id => cfg.attachmentNames?.[id] ?? String(id)).join(', '); }
+  if (type === 'Date') { return dateInputValue(value); }
+  if (type.startsWith('DateTime')) { return dateTimeInputValue(value).replace('T', ' '); }
+  if (value instanceof Date) { return value.toISOString().slice(0, 10); }
+  if (Array.isArray(value)) { return cellList(value).map(v => formatCellValue(v)).join(', '); }
+  if (typeof value === 'object') { return JSON.stringify(value); }
+  return String(value);
+}
+
+// Column of a template placeholder: a column ID, a widget field (e.g. {Name}) or a column label.
+function templateColumn(key, rawRec, mappings, colLabels) {
+  if (key in rawRec) { return key; }
+  const mapped = mappings?.[key];
+  if (typeof mapped === 'string' && mapped in rawRec) { return mapped; }
+  return Object.keys(rawRec).find(colId => colLabels?.[colId] === key) ?? null;
+}
+
+// Text of a placeholder: the cell's display text passed through the filters
+// (number[:decimals], date, upper, lower, default:text).
+function templateValue(value, cfg, filters) {
+  value = parseValue(value);
+  let text = formatCellValue(value, cfg);
+  for (const filter of filters) {
+    const [name, arg] = filter.split(/:(.*)/s).map(s => s?.trim());
+    switch (name) {
+      case 'number': {
+        const n = typeof value === 'number' ? value : parseFloat(text);
+        if (isNaN(n)) { break; }
+        const digits = arg ? Math.min(20, Math.max(0, Number(arg) || 0)) : null;
+        text = n.toLocaleString(undefined, digits === null ? {} : { minimumFractionDigits: digits, maximumFractionDigits: digits });
+        break;
+      }
+      case 'date': {
+        const t = cellTime(value);
+        if (t !== null) { text = new Date(t * 1000).toISOString().slice(0, 10); }
+        break;
+      }
+      case 'upper': text = text.toUpperCase(); break;
+      case 'lower': text = text.toLowerCase(); break;
+      case 'default': if (text === '') { text = arg ?? ''; } break;
+      default: console.warn('Unknown template filter:', name);
+    }
+  }
+  return text;
+}
+
+// Turn the URLs and e-mail addresses of HTML-escaped text into links.
+function linkify(html) {
+  return html.replace(/(https?:\/\/[^\s<\u0000]*[^\s<\u0000.,;:!?)\]])|(?:mailto:)?([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g,
+    (match, url, email) => (url
+      ? '<a href="' + url + '" target="_blank" rel="noopener">' + url + '</a>'
+      : '<a href="mailto:' + email + '">' + email + '</a>'));
+}
+
+// Render a popup or tooltip template: {Column} placeholders (see templateColumn and
+// templateValue, e.g. "{Area | number:2} ha") are replaced by the row's values (Attachments
+// without filters by thumbnails, see attachmentsHtml), then the Markdown (# headings, - lists,
+// **bold**, *italic*, `code`, [links](url)) is rendered, URLs and e-mail addresses become links,
+// and the result is sanitized. \{ and \* stand for { and *.
+function renderTemplate(template, rawRec, mappings, colLabels) {
+  // Values, escapes and generated HTML are set aside as \0n\0 tokens, so that Markdown in
+  // a cell value isn't rendered. `plain` holds their text for use in link URLs.
+  const stash = [], plain = [];
+  const keep = (html, text) => {
+    plain.push(text ?? html);
+    return '\u0000' + (stash.push(html) - 1) + '\u0000';
+  };
+  const restore = (s, values) => {
+    while (/\u0000\d+\u0000/.test(s)) { s = s.replace(/\u0000(\d+)\u0000/g, (m, i) => values[i]); }
+    return s;
+  };
+  const text = escapeXml(template
+    .replace(/\\([\\`*_{}[\]()#+\-.!|])/g, (m, c) => keep(escapeXml(c)))
+    .replace(/\{([^{}]+)\}/g, (match, expr) => {
+      const [key, ...filters] = expr.split('|').map(s => s.trim());
+      const colId = templateColumn(key, rawRec, mappings, colLabels);
+      if (colId === null) { return match; }
+      const cfg = popupFieldConfigs[colId];
+      if (cfg?.type === 'Attachments' && filters.length === 0) {
+        return keep(attachmentsHtml(rawRec[colId], cfg), formatCellValue(rawRec[colId], cfg));
+      }
+      const value = escapeXml(templateValue(rawRec[colId], cfg, filters));
+      return keep(linkify(value), value);
+    }));
+  const inline = (s) => linkify(s
+    .replace(/`([^`]+)`/g, (m, code) => keep('<code>' + code + '</code>'))
+    .replace(/\[([^\]]*)\]\(([^()\s]+)\)/g, (m, label, href) =>
+      keep('<a href="' + restore(href, plain) + '" target="_blank" rel="noopener">' + label + '</a>')))
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*([^*\s](?:[^*]*[^*\s])?)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_([^_\s](?:[^_]*[^_\s])?)_(?!\w)/g, '$1<em>$2</em>');
+  let html = '';
+  let list = false;
+  for (const line of text.split(/\r?\n/)) {
+    const item = /^\s*[-*]\s+(.*)$/.exec(line);
+    if (list && !item) { html += '</ul>'; list = false; }
+    const heading = /^(#{1,4})\s+(.*)$/.exec(line);
+    if (heading) {
+      html += '<h' + (heading[1].length + 2) + '>' + inline(heading[2]) + '</h' + (heading[1].length + 2) + '>';
+    } else if (item) {
+      if (!list) { html += '<ul>'; list = true; }
+      html += '<li>' + inline(item[1]) + '</li>';
+    } else {
+      html += inline(line) + '<br>';
+    }
+  }
+  if (list) { html += '</ul>'; }
+  html = html.replace(/(<br>)+$/, '');
+  return DOMPurify.sanitize(restore(html, stash), { ADD_ATTR: ['target'] });
+}
+
+// File names shown as images: thumbnails in popups and the gallery, photo markers.
+const IMAGE_FILE_PATTERN = /\.(jpe?g|png|gif|webp|avif|bmp|svg)$/i;
+
+let attachmentAccess = null; // { promise, expires } of the read-only token used for attachment URLs
+
+// Download URLs of attachments, authorized by a read-only access token that is shared
+// until shortly before it expires.
+async function attachmentUrls(ids) {
+  if (!attachmentAccess || Date.now() > attachmentAccess.expires) {
+    const requested = Date.now();
+    const access = attachmentAccess = { expires: Infinity };
+    access.promise = grist.docApi.getAccessToken({ readOnly: true }).then((result) => {
+      access.expires = requested + (result.ttlMsecs || 0) - 60000;
+      return result;
+    }, (e) => {
+      access.expires = 0;
+      throw e;
+    });
+  }
+  const { token, baseUrl } = await attachmentAccess.promise;
+  return ids.map(id => baseUrl + '/attachments/' + Number(id) + '/download?auth=' + encodeURIComponent(token));
+}
+
+// Point the <img> (src) and <a> (href) elements of `el` that have a data-attachment-id at
+// their attachment. Called once popups, tooltips, photo markers and the gallery are shown.
+async function loadAttachments(el) {
+  const items = el ? [...el.querySelectorAll('[data-attachment-id]')] : [];
+  if (items.length === 0) { return; }
+  try {
+    const urls = await attachmentUrls(items.map(item => item.dataset.attachmentId));
+    items.forEach((item, i) => {
+      if (item.tagName === 'IMG') { item.src = urls[i]; }
+      else { item.href = urls[i]; }
+    });
+  } catch (e) {
+    console.warn('Could not load attachments:', e);
+  }
+}
+
+// Attachments of a cell: [{id, name, image}], with the file names of the column config.
+function cellAttachments(value, cfg) {
+  return cellList(parseValue(value)).filter(id => typeof id === 'number').map((id) => {
+    const name = String(cfg?.attachmentNames?.[id] ?? id);
+    return { id, name, image: IMAGE_FILE_PATTERN.test(name) };
+  });
+}
+
+// HTML of an Attachments cell: thumbnails of its images and links to its other files
+// (see loadAttachments). Clicking a thumbnail opens the lightbox (see createMap).
+function attachmentsHtml(value, cfg) {
+  const items = cellAttachments(value, cfg).map(a => (a.image
+    ? '<img class="attachment-thumb" data-attachment-id="' + a.id + '" alt="' + escapeXml(a.name)
+      + '" title="' + escapeXml(a.name) + '">'
+    : '<a class="attachment-link" data-attachment-id="' + a.id + '" target="_blank" rel="noopener">'
+      + escapeXml(a.name) + '</a>'));
+  return items.length ? '<div class="attachment-thumbs">' + items.join('') + '</div>' : '';
+}
+
+// Image attachments of a row's Attachments columns among its Popup columns:
+// [{id, name, rowId}]. Used for photo markers and the gallery.
+function rowPhotos(rawRec, mappings) {
+  if (!rawRec || !mappings?.[Popup]) { return []; }
+  return [].concat(mappings[Popup]).flatMap(col => (popupFieldConfigs[col]?.type === 'Attachments'
+    ? cellAttachments(rawRec[col], popupFieldConfigs[col]).filter(a => a.image)
+      .map(a => ({ id: a.id, name: a.name, rowId: rawRec.id }))
+    : []));
+}
+
+// Show images ([{id, name, rowId?, rowName?}]) one at a time over the page, starting at
+// `index`. Previous / next buttons and the arrow keys browse them, Escape closes the lightbox
+// and, for images of a rendered row, "Show on map" selects the row and opens its popup.
+function showLightbox(images, index) {
+  document.getElementById('attachment-lightbox')?.remove();
+  if (images.length === 0) { return; }
+  const overlay = document.createElement('div');
+  overlay.id = 'attachment-lightbox';
+  overlay.className = 'lightbox-overlay';
+  overlay.tabIndex = -1;
+  const close = () => overlay.remove();
+  const button = (className, text, title, onClick) => {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.className = className;
+    b.textContent = text;
+    b.title = title;
+    b.onclick = onClick;
+    return b;
+  };
+
+  const img = document.createElement('img');
+  img.className = 'lightbox-image';
+  const caption = document.createElement('div');
+  caption.className = 'lightbox-caption';
+  const title = document.createElement('span');
+  const showOnMap = button('lightbox-show', 'Show on map', 'Select this row on the map', () => {
+    close();
+    showRowOnMap(images[index].rowId);
+  });
+  caption.append(title, showOnMap);
+  overlay.append(img, caption, button('lightbox-close', '×', 'Close', close));
+  if (images.length > 1) {
+    overlay.append(
+      button('lightbox-nav lightbox-prev', '‹', 'Previous', () => show(index - 1)),
+      button('lightbox-nav lightbox-next', '›', 'Next', () => show(index + 1)));
+  }
+
+  function show(i) {
+    index = (i + images.length) % images.length;
+    const image = images[index];
+    img.removeAttribute('src');
+    img.alt = image.name;
+    img.dataset.attachmentId = image.id;
+    title.textContent = (image.rowName ? image.rowName + ' — ' : '') + image.name
+      + (images.length > 1 ? ' (' + (index + 1) + '/' + images.length + ')' : '');
+    showOnMap.style.display = image.rowId != null && renderedFeatures[image.rowId] ? '' : 'none';
+    loadAttachments(overlay);
+  }
+
+  overlay.addEventListener('click', (e) => { if (e.target === overlay) { close(); } });
+  overlay.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') { close(); }
+    else if (e.key === 'ArrowLeft' && images.length > 1) { show(index - 1); }
+    else if (e.key === 'ArrowRight' && images.length > 1) { show(index + 1); }
+  });
+  show(index);
+  document.body.appendChild(overlay);
+  overlay.focus();
+}
+
 // Add a permanent label tooltip to a Leaflet GeoJSON layer.
 // layer:       L.geoJSON layer
 // label:       string (plain text or JSON array for per-part labels)
@@ -431,549 +991,2337 @@ function parseGristJson(raw) {
   return null;
 }
 
-// Evaluate a single filter condition against a cell value.
-function evaluateCondition(rowVal, op, condVal) {
-  switch (op) {
-    case '==':         return rowVal == condVal;
-    case '!=':         return rowVal != condVal;
-    case '>':          return rowVal > condVal;
-    case '>=':         return rowVal >= condVal;
-    case '<':          return rowVal < condVal;
-    case '<=':         return rowVal <= condVal;
-    case 'contains':   return String(rowVal ?? '').includes(String(condVal));
-    case 'startsWith': return String(rowVal ?? '').startsWith(String(condVal));
-    default:           return true;
+// Matches WKT and EWKT values ("POLYGON((...))", "SRID=2056;POINT Z (1 2 3)", "POINT EMPTY").
+const WKT_PATTERN = /^\s*(?:SRID=(\d+)\s*;\s*)?[A-Z]+\s*(?:ZM|Z|M)?\s*(?:\(|EMPTY\b)/i;
+
+// Parse WKT or EWKT into a GeoJSON geometry. An SRID prefix becomes a `crs` member, which
+// geoJSONToWGS84 honours. Returns null for invalid or EMPTY geometries.
+function parseWKT(text) {
+  const srid = WKT_PATTERN.exec(text)?.[1];
+  const tokens = text.replace(/^\s*SRID=\d+\s*;/i, '').match(/[A-Za-z]+|[-+]?[\d.]+(?:[eE][-+]?\d+)?|[(),]/g) || [];
+  let pos = 0;
+  const expect = (t) => {
+    if (tokens[pos++] !== t) { throw new Error('Expected "' + t + '" in WKT'); }
+  };
+  const list = (item) => {
+    expect('(');
+    const items = [item()];
+    while (tokens[pos] === ',') { pos++; items.push(item()); }
+    expect(')');
+    return items;
+  };
+
+  function geometry() {
+    const [, type, tag] = /^([A-Z]+?)(ZM|Z|M)?$/i.exec(tokens[pos++] || '') || [];
+    let dims = (tag || '').toUpperCase();
+    if (/^(ZM|Z|M)$/i.test(tokens[pos])) { dims = tokens[pos++].toUpperCase(); }
+    // [x, y] or [x, y, z]; an M (measure) value is dropped
+    const position = () => {
+      const c = [];
+      while (/^[-+\d.]/.test(tokens[pos] || '')) { c.push(parseFloat(tokens[pos++])); }
+      if (c.length < 2) { throw new Error('Invalid WKT position'); }
+      return dims === 'M' ? c.slice(0, 2) : c.slice(0, 3);
+    };
+    if (/^EMPTY$/i.test(tokens[pos])) { pos++; return null; }
+    switch ((type || '').toUpperCase()) {
+      case 'POINT':           return { type: 'Point', coordinates: list(position)[0] };
+      case 'LINESTRING':      return { type: 'LineString', coordinates: list(position) };
+      case 'POLYGON':         return { type: 'Polygon', coordinates: list(() => list(position)) };
+      // Both MULTIPOINT(1 2, 3 4) and MULTIPOINT((1 2), (3 4)) are in use
+      case 'MULTIPOINT':      return { type: 'MultiPoint', coordinates: list(() => tokens[pos] === '(' ? list(position)[0] : position()) };
+      case 'MULTILINESTRING': return { type: 'MultiLineString', coordinates: list(() => list(position)) };
+      case 'MULTIPOLYGON':    return { type: 'MultiPolygon', coordinates: list(() => list(() => list(position))) };
+      case 'GEOMETRYCOLLECTION':
+        return { type: 'GeometryCollection', geometries: list(geometry).filter(Boolean) };
+      default:
+        throw new Error('Unsupported WKT type ' + type);
+    }
+  }
+
+  try {
+    const result = geometry();
+    if (pos !== tokens.length) { throw new Error('Unexpected text after WKT geometry'); }
+    if (result && srid) { result.crs = { type: 'name', properties: { name: 'EPSG:' + srid } }; }
+    return result;
+  } catch (e) {
+    console.warn('Invalid WKT:', text, e.message);
+    return null;
   }
 }
 
-// Returns true if row i passes the filter.
-// filter can be: null (pass all), a string (boolean column name), or an array of
-// {col, op, val} conditions (all must pass — AND logic).
-function evaluateRowFilter(tableData, i, filter) {
-  if (!filter) { return true; }
-  if (typeof filter === 'string') {
-    return !tableData[filter] || !!tableData[filter][i];
+// Serialise a GeoJSON geometry as WKT (without SRID prefix).
+function geometryToWKT(geometry) {
+  const firstPosition = (c) => (typeof c[0] === 'number' ? c : firstPosition(c[0] || [0, 0]));
+  const position = (c) => c.join(' ');
+  const path = (cs) => '(' + cs.map(position).join(',') + ')';
+  const polygon = (rings) => '(' + rings.map(path).join(',') + ')';
+  if (geometry.type === 'GeometryCollection') {
+    return 'GEOMETRYCOLLECTION(' + geometry.geometries.map(geometryToWKT).join(',') + ')';
   }
-  if (Array.isArray(filter)) {
-    return filter.every(cond => evaluateCondition(tableData[cond.col]?.[i], cond.op, cond.val));
+  const type = geometry.type.toUpperCase() + (firstPosition(geometry.coordinates).length > 2 ? ' Z ' : '');
+  switch (geometry.type) {
+    case 'Point':           return type + path([geometry.coordinates]);
+    case 'LineString':      return type + path(geometry.coordinates);
+    case 'Polygon':         return type + polygon(geometry.coordinates);
+    case 'MultiPoint':      return type + '(' + geometry.coordinates.map(c => path([c])).join(',') + ')';
+    case 'MultiLineString': return type + polygon(geometry.coordinates);
+    case 'MultiPolygon':    return type + '(' + geometry.coordinates.map(polygon).join(',') + ')';
+    default:                throw new Error('Unsupported geometry type ' + geometry.type);
   }
-  return true;
 }
 
-// Fetch additional layers from other Grist tables based on config
-async function fetchAdditionalLayers() {
-  const results = [];
-  if (!additionalLayersConfig || additionalLayersConfig.length === 0) {
-    return results;
+// Parse a geometry cell: GeoJSON (as accepted by parseGristJson), WKT or EWKT.
+function parseGeometryValue(raw) {
+  if (typeof raw === 'string' && WKT_PATTERN.test(raw)) { return parseWKT(raw); }
+  return parseGristJson(raw);
+}
+
+// Serialise a WGS84 geometry drawn, edited or imported on the map for a geometry cell,
+// in the format (GeoJSON or WKT) and coordinate system of `sample`, an existing value of
+// the same column. Without a sample, GeoJSON in the table's coordinate system is written.
+function formatGeometryValue(geometry, sample) {
+  const parsed = parseGeometryValue(sample);
+  const crsMember = geometryCrs(parsed, null) ? parsed.crs : null;
+  const stored = geoJSONFromWGS84(geometry, geometryCrs(parsed, tableCrs));
+  if (typeof sample === 'string' && WKT_PATTERN.test(sample)) {
+    const srid = WKT_PATTERN.exec(sample)[1];
+    return (srid ? 'SRID=' + srid + ';' : '') + geometryToWKT(stored);
   }
-  for (const config of additionalLayersConfig) {
-    if (!config.table || !config.columns || !config.columns.GeoJSON) {
-      console.warn("Skipping additional layer with missing table or GeoJSON column:", config);
-      continue;
-    }
-    try {
-      const tableData = await grist.docApi.fetchTable(config.table);
-      if (!tableData || !tableData.id) { continue; }
-      // Pivot column-oriented data to row-oriented records
-      const geojsonCol = config.columns.GeoJSON;
-      const nameCol = config.columns.Name;
-      const styleCol = config.columns.Style;
-      const labelCol = config.columns.Label || null;
-      const labelStyleCol = config.columns.LabelStyle || null;
-      const filter = config.filter || null;
-      const features = [];
-      for (let i = 0; i < tableData.id.length; i++) {
-        // Skip row if filter column is specified and its value is falsy
-        if (!evaluateRowFilter(tableData, i, filter)) { continue; }
-        const geojsonRaw = tableData[geojsonCol] ? tableData[geojsonCol][i] : null;
-        if (!geojsonRaw) { continue; }
-        let parsedGeoJSON;
-        try {
-          parsedGeoJSON = parseGristJson(geojsonRaw);
-        } catch (e) {
-          console.warn("Could not parse GeoJSON for row", i, ":", geojsonRaw);
-          continue;
-        }
-        if (!parsedGeoJSON) { continue; }
-        let style = {};
-        if (styleCol && tableData[styleCol]) {
-          const styleRaw = tableData[styleCol][i];
-          if (styleRaw) {
-            try {
-              style = parseGristJson(styleRaw) || {};
-            } catch (e) { /* ignore */ }
-          }
-        }
-        const name = (nameCol && tableData[nameCol]) ? tableData[nameCol][i] : null;
-        const label = (labelCol && tableData[labelCol]) ? tableData[labelCol][i] : null;
-        const labelStyle = (labelStyleCol && tableData[labelStyleCol]) ? tableData[labelStyleCol][i] : null;
-        features.push({ geojson: parsedGeoJSON, name, style, label, labelStyle });
-      }
-      results.push({
-        layerName: config.layer || config.table,
-        order: config.order ?? 0,
-        interactive: config.interactive !== false,
-        features: features,
-      });
-    } catch (e) {
-      console.error("Error fetching additional table '" + config.table + "':", e);
+  return JSON.stringify(crsMember ? Object.assign({}, stored, { crs: crsMember }) : stored);
+}
+
+// First non-empty value of a column of the mapped table — tells the format new geometries
+// should be written in.
+function sampleColumnValue(colId) {
+  for (const id in rawRecordsById) {
+    const value = parseValue(rawRecordsById[id][colId]);
+    if (value) { return value; }
+  }
+  return null;
+}
+
+// proj4 definitions of common projected coordinate systems, so they can be referred to by
+// EPSG code in the "Coordinate system" setting and in additional layer configs. Any other
+// proj4 string, WKT, or EPSG code known to proj4 itself (e.g. EPSG:3857) works as well.
+const CRS_DEFINITIONS = {
+  // CH1903+ / LV95 and CH1903 / LV03 (Switzerland)
+  'EPSG:2056': '+proj=somerc +lat_0=46.9524055555556 +lon_0=7.43958333333333 +k_0=1 +x_0=2600000 +y_0=1200000 +ellps=bessel +towgs84=674.374,15.056,405.346,0,0,0,0 +units=m +no_defs',
+  'EPSG:21781': '+proj=somerc +lat_0=46.9524055555556 +lon_0=7.43958333333333 +k_0=1 +x_0=600000 +y_0=200000 +ellps=bessel +towgs84=674.374,15.056,405.346,0,0,0,0 +units=m +no_defs',
+  // RGF93 / Lambert-93 and NTF (Paris) / Lambert zone II étendu (France)
+  'EPSG:2154': '+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 +y_0=6600000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  'EPSG:27572': '+proj=lcc +lat_1=46.8 +lat_0=46.8 +lon_0=0 +k_0=0.99987742 +x_0=600000 +y_0=2200000 +a=6378249.2 +b=6356515 +towgs84=-168,-60,320,0,0,0,0 +pm=paris +units=m +no_defs',
+  // Belgian Lambert 72
+  'EPSG:31370': '+proj=lcc +lat_0=90 +lon_0=4.36748666666667 +lat_1=51.1666672333333 +lat_2=49.8333339 +x_0=150000.013 +y_0=5400088.438 +ellps=intl +towgs84=-106.8686,52.2978,-103.7239,0.3366,-0.457,1.8422,-1.2747 +units=m +no_defs',
+  // Amersfoort / RD New (Netherlands)
+  'EPSG:28992': '+proj=sterea +lat_0=52.1561605555556 +lon_0=5.38763888888889 +k=0.9999079 +x_0=155000 +y_0=463000 +ellps=bessel +towgs84=565.4171,50.3319,465.5524,1.9342,-1.6677,9.1019,4.0725 +units=m +no_defs',
+  // OSGB36 / British National Grid
+  'EPSG:27700': '+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy +towgs84=446.448,-125.157,542.06,0.15,0.247,0.842,-20.489 +units=m +no_defs',
+  // ETRS89 / UTM zones 32N and 33N, ETRS89 / LAEA Europe
+  'EPSG:25832': '+proj=utm +zone=32 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  'EPSG:25833': '+proj=utm +zone=33 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  'EPSG:3035': '+proj=laea +lat_0=52 +lon_0=10 +x_0=4321000 +y_0=3210000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+};
+const crsConverters = {}; // CRS → proj4 converter from that CRS to WGS84 (false if unusable)
+const crsWaitingForProj4 = new Set(); // CRSs reported as needing proj4, which wasn't loaded yet
+
+// Return a proj4 converter between the given CRS and WGS84, null for WGS84 itself, or
+// false (after logging an error) for a CRS that can't be resolved: geometries in it can
+// neither be shown nor written.
+// crs: "EPSG:2056", "2056", "urn:ogc:def:crs:EPSG::2056", a proj4 string or WKT.
+function getCrsConverter(crs) {
+  let code = String(crs ?? '').trim();
+  const epsg = code.match(/^(?:EPSG:+|urn:ogc:def:crs:EPSG::)?(\d+)$/i);
+  if (epsg) { code = 'EPSG:' + epsg[1]; }
+  if (!code || code === 'EPSG:4326' || /^(WGS ?84|(urn:ogc:def:crs:OGC:1\.3:)?CRS84)$/i.test(code)) { return null; }
+  if (code in crsConverters) { return crsConverters[code]; }
+  if (!window.proj4) {
+    // Not cached: proj4 may still be loading.
+    if (!crsWaitingForProj4.has(code)) {
+      crsWaitingForProj4.add(code);
+      console.error('Coordinate system ' + code + ' needs proj4, which is not loaded');
     }
+    return false;
   }
-  return results;
+  let converter = false;
+  try {
+    converter = proj4(CRS_DEFINITIONS[code] || code, 'WGS84');
+  } catch (e) {
+    console.error('Unsupported coordinate system ' + code + ':', e);
+  }
+  crsConverters[code] = converter;
+  return converter;
 }
 
-// Custom grouped layer control with collapsible groups
-L.Control.GroupedLayers = L.Control.extend({
-  options: {
-    position: 'topright',
-    collapsed: true,
-  },
+// Problem text when the "Coordinate system" setting can't be resolved, else null.
+function tableCrsProblem() {
+  if (getCrsConverter(tableCrs) !== false) { return null; }
+  return 'Unknown coordinate system "' + escapeXml(tableCrs) + '"' +
+    (window.proj4 ? '' : ' (proj4 is not loaded)') +
+    '. Fix the Coordinate system setting: nothing is shown or written until then.';
+}
 
-  // groups: { "Group Name": { "Sub Layer": L.Layer, ... }, ... }
-  // overlays: { "Layer Name": L.Layer, ... } (ungrouped/standalone)
-  initialize: function (groups, overlays, options) {
-    L.setOptions(this, options);
-    this._groups = groups || {};
-    this._overlays = overlays || {};
-  },
+// Return a copy of a GeoJSON geometry, Feature or FeatureCollection with fn([x, y]) → [x', y']
+// applied to every position (a third, elevation, value is kept as is).
+function mapGeoJSONCoordinates(geojson, fn) {
+  if (!geojson || typeof geojson !== 'object') { return geojson; }
+  const mapCoords = (c) => (typeof c[0] === 'number' ? fn(c.slice(0, 2)).concat(c.slice(2)) : c.map(mapCoords));
+  switch (geojson.type) {
+    case 'FeatureCollection':
+      return Object.assign({}, geojson, { features: (geojson.features || []).map(f => mapGeoJSONCoordinates(f, fn)) });
+    case 'Feature':
+      return Object.assign({}, geojson, { geometry: mapGeoJSONCoordinates(geojson.geometry, fn) });
+    case 'GeometryCollection':
+      return Object.assign({}, geojson, { geometries: (geojson.geometries || []).map(g => mapGeoJSONCoordinates(g, fn)) });
+    default:
+      return Array.isArray(geojson.coordinates)
+        ? Object.assign({}, geojson, { coordinates: mapCoords(geojson.coordinates) }) : geojson;
+  }
+}
 
-  onAdd: function (map) {
-    this._map = map;
-    var container = L.DomUtil.create('div', 'leaflet-control-layers');
-    L.DomEvent.disableClickPropagation(container);
-    L.DomEvent.disableScrollPropagation(container);
+// CRS named by a GeoJSON `crs` member (old-style GeoJSON, or the SRID of EWKT), else `fallback`.
+function geometryCrs(geojson, fallback) {
+  return geojson?.crs?.properties?.name || fallback;
+}
 
-    var section = L.DomUtil.create('section', 'leaflet-control-layers-list', container);
-    this._section = section;
-    this._buildContent();
+// Reproject GeoJSON stored in `crs` (or the CRS its own `crs` member names) to WGS84 for
+// display. Null if that CRS can't be resolved.
+function geoJSONToWGS84(geojson, crs) {
+  const converter = getCrsConverter(geometryCrs(geojson, crs));
+  if (converter === false) { return null; }
+  if (geojson?.crs) {
+    geojson = Object.assign({}, geojson);
+    delete geojson.crs;
+  }
+  return converter ? mapGeoJSONCoordinates(geojson, c => converter.forward(c)) : geojson;
+}
 
-    if (this.options.collapsed) {
-      if (!L.Browser.android) {
-        L.DomEvent.on(container, 'mouseenter', this._expand, this);
-        L.DomEvent.on(container, 'mouseleave', this._collapse, this);
-      }
-      var link = L.DomUtil.create('a', 'leaflet-control-layers-toggle', container);
-      link.href = '#';
-      link.title = 'Layers';
-      if (L.Browser.touch) {
-        L.DomEvent.on(link, 'click', L.DomEvent.stop);
-        L.DomEvent.on(link, 'click', this._expand, this);
-      } else {
-        L.DomEvent.on(link, 'focus', this._expand, this);
-      }
-    } else {
-      this._expand();
+// Reproject WGS84 GeoJSON (drawn, edited or imported on the map) back to `crs` for storage.
+// Throws if that CRS can't be resolved, rather than writing WGS84 coordinates.
+function geoJSONFromWGS84(geojson, crs) {
+  const converter = getCrsConverter(crs);
+  if (converter === false) { throw new Error('Unknown coordinate system ' + crs + ': nothing can be written'); }
+  return converter ? mapGeoJSONCoordinates(geojson, c => converter.inverse(c)) : geojson;
+}
+
+// Ray-casting test: is the [x, y] point inside the ring (an array of [x, y] positions)?
+function pointInRing(point, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > point[1]) !== (yj > point[1]) &&
+        point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi) {
+      inside = !inside;
     }
+  }
+  return inside;
+}
 
-    return container;
-  },
+// Do the segments ab and cd cross?
+function segmentsIntersect(a, b, c, d) {
+  const orient = (p, q, r) => Math.sign((q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]));
+  return orient(a, b, c) !== orient(a, b, d) && orient(c, d, a) !== orient(c, d, b);
+}
 
-  _expand: function () {
-    L.DomUtil.addClass(this.getContainer(), 'leaflet-control-layers-expanded');
-    return this;
-  },
+// Representative [lng, lat] of a GeoJSON geometry, Feature or FeatureCollection: the
+// area-weighted centroid of its polygons, else the mean of its positions. Null if empty.
+function geometryCentroid(geojson) {
+  let area = 0, cx = 0, cy = 0;
+  let count = 0, sx = 0, sy = 0;
+  // Ring orientation varies between sources: outer rings add their area, holes subtract it.
+  const addRing = (ring, isHole) => {
+    let a = 0, x = 0, y = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const f = ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+      a += f;
+      x += (ring[j][0] + ring[i][0]) * f;
+      y += (ring[j][1] + ring[i][1]) * f;
+    }
+    const sign = (a < 0 ? -1 : 1) * (isHole ? -1 : 1);
+    area += sign * a;
+    cx += sign * x;
+    cy += sign * y;
+  };
+  const addPolygon = (rings) => rings.forEach((ring, i) => addRing(ring, i > 0));
+  mapGeoJSONCoordinates(geojson, (c) => { count++; sx += c[0]; sy += c[1]; return c; });
+  const collect = (g) => {
+    if (!g) { return; }
+    switch (g.type) {
+      case 'FeatureCollection':  (g.features || []).forEach(collect); break;
+      case 'Feature':            collect(g.geometry); break;
+      case 'GeometryCollection': g.geometries.forEach(collect); break;
+      case 'Polygon':            addPolygon(g.coordinates); break;
+      case 'MultiPolygon':       g.coordinates.forEach(addPolygon); break;
+    }
+  };
+  collect(geojson);
+  if (Math.abs(area) > 1e-12) { return [cx / (3 * area), cy / (3 * area)]; }
+  return count > 0 ? [sx / count, sy / count] : null;
+}
 
-  _collapse: function () {
-    L.DomUtil.removeClass(this.getContainer(), 'leaflet-control-layers-expanded');
-    return this;
-  },
+// Units of the "Measurement units" settings: conversion from m² / m, decimals kept when
+// writing to Grist, and the units Leaflet.draw may use in its live area read-out.
+const AREA_UNITS = {
+  m2: { factor: 1, decimals: 1, label: 'm²', drawUnits: ['m'] },
+  ha: { factor: 1e4, decimals: 4, label: 'ha', drawUnits: ['ha', 'm'] },
+  km2: { factor: 1e6, decimals: 6, label: 'km²', drawUnits: ['km', 'ha', 'm'] },
+};
+const LENGTH_UNITS = {
+  m: { factor: 1, decimals: 2, label: 'm' },
+  km: { factor: 1e3, decimals: 5, label: 'km' },
+};
 
-  _buildContent: function () {
-    var section = this._section;
-    var overlaysDiv = L.DomUtil.create('div', 'leaflet-control-layers-overlays', section);
+// Geodesic area in m² of a ring of [lng, lat] positions (same spherical approximation as
+// L.GeometryUtil.geodesicArea of Leaflet.draw).
+function geodesicRingArea(ring) {
+  const d2r = Math.PI / 180;
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += (ring[i][0] - ring[j][0]) * d2r * (2 + Math.sin(ring[j][1] * d2r) + Math.sin(ring[i][1] * d2r));
+  }
+  return Math.abs(area * 6378137 * 6378137 / 2);
+}
 
-    // Add groups
-    var hasGroups = false;
-    for (var groupName in this._groups) {
-      this._addGroup(overlaysDiv, groupName, this._groups[groupName]);
-      hasGroups = true;
-    }
+// Geodesic length in m of a path of [lng, lat] positions.
+function geodesicPathLength(path) {
+  let length = 0;
+  for (let i = 1; i < path.length; i++) {
+    length += L.CRS.Earth.distance(L.latLng(path[i - 1][1], path[i - 1][0]), L.latLng(path[i][1], path[i][0]));
+  }
+  return length;
+}
 
-    // Add separator between groups and standalone overlays
-    if (hasGroups && Object.keys(this._overlays).length > 0) {
-      L.DomUtil.create('div', 'leaflet-control-layers-separator', overlaysDiv);
+// Geodesic measures of a WGS84 GeoJSON geometry, Feature or FeatureCollection:
+// {area (m², polygons minus holes), length (m, lines), perimeter (m, polygon rings)}.
+// Measures that don't apply (e.g. the length of a polygon) are null.
+function measureGeometry(geojson) {
+  const measures = { area: null, length: null, perimeter: null };
+  const addPolygon = (rings) => rings.forEach((ring, i) => {
+    measures.area = (measures.area || 0) + (i === 0 ? 1 : -1) * geodesicRingArea(ring);
+    measures.perimeter = (measures.perimeter || 0) + geodesicPathLength(ring);
+  });
+  const addLine = (path) => { measures.length = (measures.length || 0) + geodesicPathLength(path); };
+  const collect = (g) => {
+    if (!g) { return; }
+    switch (g.type) {
+      case 'FeatureCollection':  (g.features || []).forEach(collect); break;
+      case 'Feature':            collect(g.geometry); break;
+      case 'GeometryCollection': g.geometries.forEach(collect); break;
+      case 'LineString':         addLine(g.coordinates); break;
+      case 'MultiLineString':    g.coordinates.forEach(addLine); break;
+      case 'Polygon':            addPolygon(g.coordinates); break;
+      case 'MultiPolygon':       g.coordinates.forEach(addPolygon); break;
     }
+  };
+  collect(geojson);
+  return measures;
+}
 
-    // Add standalone overlays
-    for (var name in this._overlays) {
-      this._addOverlayRow(overlaysDiv, name, this._overlays[name]);
-    }
-  },
+// Convert a measure in m² or m to a unit of AREA_UNITS / LENGTH_UNITS, rounded for storage.
+function convertMeasure(value, unit) {
+  return value === null ? null : Number((value / unit.factor).toFixed(unit.decimals));
+}
 
-  _addOverlayRow: function (parent, name, layer) {
-    var label = document.createElement('label');
-    var input = document.createElement('input');
-    input.type = 'checkbox';
-    input.className = 'leaflet-control-layers-selector';
-    input.checked = this._map.hasLayer(layer);
-    var self = this;
-    L.DomEvent.on(input, 'change', function () {
-      if (input.checked) { self._map.addLayer(layer); }
-      else { self._map.removeLayer(layer); }
-    });
-    var span = document.createElement('span');
-    span.textContent = ' ' + name;
-    label.appendChild(input);
-    label.appendChild(span);
-    parent.appendChild(label);
-  },
+// "1,234.5 m²"-style text of a measure in m² or m.
+function formatMeasure(value, unit) {
+  return (value / unit.factor).toLocaleString(undefined, { maximumFractionDigits: Math.min(unit.decimals, 3) })
+    + ' ' + unit.label;
+}
 
-  _addGroup: function (parent, groupName, layers) {
-    var groupDiv = document.createElement('div');
-    groupDiv.className = 'leaflet-control-layers-group';
+// Area/Length/Perimeter cell values (for the mapped columns) of a WGS84 geometry.
+function measurementFields(mappings, geojson) {
+  if (!mappings[Area] && !mappings[Length] && !mappings[Perimeter]) { return {}; }
+  const measures = measureGeometry(geojson);
+  const areaU = AREA_UNITS[areaUnit] || AREA_UNITS.m2;
+  const lengthU = LENGTH_UNITS[lengthUnit] || LENGTH_UNITS.m;
+  return {
+    ...(mappings[Area]) ? {[mappings[Area]]: convertMeasure(measures.area, areaU)} : undefined,
+    ...(mappings[Length]) ? {[mappings[Length]]: convertMeasure(measures.length, lengthU)} : undefined,
+    ...(mappings[Perimeter]) ? {[mappings[Perimeter]]: convertMeasure(measures.perimeter, lengthU)} : undefined,
+  };
+}
 
-    // Group header (div, not label, so toggle/name clicks don't affect checkbox)
-    var header = document.createElement('div');
-    header.className = 'leaflet-control-layers-group-header';
+// Polygon approximating a circle ({ center: [lng, lat], radius in m }) with `segments`
+// vertices, counter-clockwise, positions rounded to `precision` decimals (default 6).
+function circlePolygon(circle, segments, precision) {
+  const d2r = Math.PI / 180;
+  const lng = circle.center[0] * d2r, lat = circle.center[1] * d2r;
+  const angle = circle.radius / L.CRS.Earth.R;
+  const ring = [];
+  for (let i = 0; i < segments; i++) {
+    const bearing = -2 * Math.PI * i / segments;
+    const lat2 = Math.asin(Math.sin(lat) * Math.cos(angle) + Math.cos(lat) * Math.sin(angle) * Math.cos(bearing));
+    const lng2 = lng + Math.atan2(Math.sin(bearing) * Math.sin(angle) * Math.cos(lat),
+      Math.cos(angle) - Math.sin(lat) * Math.sin(lat2));
+    ring.push([L.Util.formatNum(lng2 / d2r, precision), L.Util.formatNum(lat2 / d2r, precision)]);
+  }
+  return { type: 'Polygon', coordinates: [closeRing(ring)] };
+}
 
-    var groupCb = document.createElement('input');
-    groupCb.type = 'checkbox';
-    groupCb.className = 'leaflet-control-layers-selector';
-    groupCb.checked = true;
+// Does a WGS84 polygon (or Feature) still approximate the circle: are the vertices of its
+// outer ring at the circle's radius from its centre? Not once the shape was edited elsewhere.
+function polygonMatchesCircle(geojson, circle) {
+  const geometry = geojson?.type === 'Feature' ? geojson.geometry : geojson;
+  const ring = geometry?.type === 'Polygon' ? geometry.coordinates[0] : null;
+  if (!ring || ring.length < 4) { return false; }
+  const center = L.latLng(circle.center[1], circle.center[0]);
+  const tolerance = Math.max(1, circle.radius * 0.01);
+  return ring.every(c => Math.abs(center.distanceTo(L.latLng(c[1], c[0])) - circle.radius) <= tolerance);
+}
 
-    var toggle = document.createElement('span');
-    toggle.className = 'leaflet-control-layers-group-toggle';
-    toggle.textContent = '\u25B6';
+// Centre and radius of a row drawn as a circle: from the `properties` of its GeoJSON
+// Feature, else from the CircleCenter / CircleRadius cells, as long as its polygon still
+// matches them. Null for other rows.
+function rowCircle(geojson, centerValue, radiusValue) {
+  const properties = geojson?.type === 'Feature' ? geojson.properties : null;
+  let center = properties?.center, radius = properties?.radius;
+  if (!(radius > 0)) {
+    center = centerValue;
+    radius = radiusValue;
+  }
+  if (typeof center === 'string') {
+    try { center = JSON.parse(center); } catch (e) { center = null; }
+  }
+  center = cellList(center).map(Number);
+  radius = Number(radius);
+  if (!(center.length >= 2 && isFinite(center[0]) && isFinite(center[1]) && radius > 0)) { return null; }
+  const circle = { center: center.slice(0, 2), radius };
+  return polygonMatchesCircle(geojson, circle) ? circle : null;
+}
 
-    var nameSpan = document.createElement('span');
-    nameSpan.className = 'leaflet-control-layers-group-name';
-    nameSpan.textContent = ' ' + groupName;
+// CircleCenter/CircleRadius cell values (for the mapped columns) of a circle, or to clear
+// them when `circle` is null.
+function circleFields(mappings, circle) {
+  return {
+    ...(mappings[CircleCenter]) ? {[mappings[CircleCenter]]: circle ? JSON.stringify(circle.center) : null} : undefined,
+    ...(mappings[CircleRadius]) ? {[mappings[CircleRadius]]: circle ? circle.radius : null} : undefined,
+  };
+}
 
-    header.appendChild(groupCb);
-    header.appendChild(toggle);
-    header.appendChild(nameSpan);
-    groupDiv.appendChild(header);
+// Text shown by the measure tool for the positions clicked so far ([lng, lat]).
+function measureToolText(path, kind) {
+  const areaU = AREA_UNITS[areaUnit] || AREA_UNITS.m2;
+  const lengthU = LENGTH_UNITS[lengthUnit] || LENGTH_UNITS.m;
+  if (kind === 'area') {
+    const ring = path.concat([path[0]]);
+    return formatMeasure(geodesicRingArea(ring), areaU) + '<br>' + formatMeasure(geodesicPathLength(ring), lengthU);
+  }
+  return formatMeasure(geodesicPathLength(path), lengthU);
+}
 
-    // Children (collapsed by default)
-    var childrenDiv = document.createElement('div');
-    childrenDiv.className = 'leaflet-control-layers-group-children';
-    childrenDiv.style.display = 'none';
+// Does a GeoJSON geometry, Feature or FeatureCollection intersect the ring ([lng, lat] positions)?
+function geometryIntersectsRing(geojson, ring) {
+  const paths = [];    // points, lines and polygon rings, as position arrays
+  const polygons = []; // outer rings, to catch a ring drawn entirely inside a polygon
+  const collect = (g) => {
+    if (!g) { return; }
+    switch (g.type) {
+      case 'FeatureCollection':  (g.features || []).forEach(collect); break;
+      case 'Feature':            collect(g.geometry); break;
+      case 'GeometryCollection': g.geometries.forEach(collect); break;
+      case 'Point':              paths.push([g.coordinates]); break;
+      case 'MultiPoint':         g.coordinates.forEach(c => paths.push([c])); break;
+      case 'LineString':         paths.push(g.coordinates); break;
+      case 'MultiLineString':    paths.push(...g.coordinates); break;
+      case 'Polygon':            paths.push(...g.coordinates); polygons.push(g.coordinates[0]); break;
+      case 'MultiPolygon':       g.coordinates.forEach(rings => { paths.push(...rings); polygons.push(rings[0]); }); break;
+    }
+  };
+  collect(geojson);
+  for (const path of paths) {
+    if (path.some(c => pointInRing(c, ring))) { return true; }
+    for (let i = 1; i < path.length; i++) {
+      for (let j = 0, k = ring.length - 1; j < ring.length; k = j++) {
+        if (segmentsIntersect(path[i - 1], path[i], ring[k], ring[j])) { return true; }
+      }
+    }
+  }
+  return polygons.some(outer => outer && pointInRing(ring[0], outer));
+}
 
-    var childItems = [];
-    var self = this;
+// Where the segments ab and cd cross: { point, t } with t the position along ab (0 at a,
+// 1 at b), or null when they don't cross or are parallel.
+function segmentIntersection(a, b, c, d) {
+  const rx = b[0] - a[0], ry = b[1] - a[1];
+  const sx = d[0] - c[0], sy = d[1] - c[1];
+  const denominator = rx * sy - ry * sx;
+  if (denominator === 0) { return null; }
+  const qx = c[0] - a[0], qy = c[1] - a[1];
+  const t = (qx * sy - qy * sx) / denominator;
+  const u = (qx * ry - qy * rx) / denominator;
+  if (t < 0 || t > 1 || u < 0 || u > 1) { return null; }
+  return { point: [a[0] + t * rx, a[1] + t * ry], t };
+}
 
-    for (var layerName in layers) {
-      (function (lName, lyr) {
-        var childLabel = document.createElement('label');
-        var childCb = document.createElement('input');
-        childCb.type = 'checkbox';
-        childCb.className = 'leaflet-control-layers-selector';
-        childCb.checked = self._map.hasLayer(lyr);
-        childItems.push({ input: childCb, layer: lyr });
+function samePosition(a, b) {
+  return Math.abs(a[0] - b[0]) < 1e-12 && Math.abs(a[1] - b[1]) < 1e-12;
+}
 
-        var childSpan = document.createElement('span');
-        childSpan.textContent = ' ' + lName;
-        childLabel.appendChild(childCb);
-        childLabel.appendChild(childSpan);
-        childrenDiv.appendChild(childLabel);
+// Positions without consecutive duplicates.
+function withoutRepeats(positions) {
+  return positions.filter((p, i) => i === 0 || !samePosition(p, positions[i - 1]));
+}
 
-        L.DomEvent.on(childCb, 'change', function () {
-          if (childCb.checked) { self._map.addLayer(lyr); }
-          else { self._map.removeLayer(lyr); }
-          self._updateGroupCb(groupCb, childItems);
-        });
-      })(layerName, layers[layerName]);
+// Ring positions without the closing one, and back.
+function openRing(ring) {
+  return ring.length > 1 && samePosition(ring[0], ring[ring.length - 1]) ? ring.slice(0, -1) : ring;
+}
+function closeRing(ring) {
+  return ring.concat([ring[0]]);
+}
+
+// Squared distance from point p to the segment ab.
+function segmentDistance2(p, a, b) {
+  const dx = b[0] - a[0], dy = b[1] - a[1];
+  const length2 = dx * dx + dy * dy;
+  const t = length2 ? Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / length2)) : 0;
+  const x = a[0] + t * dx - p[0], y = a[1] + t * dy - p[1];
+  return x * x + y * y;
+}
+
+// Cut a path of positions where a cutting line crosses it. Returns the pieces (just the
+// path when it isn't crossed).
+function splitPath(path, cutter) {
+  const pieces = [];
+  let current = [path[0]];
+  for (let i = 1; i < path.length; i++) {
+    const cuts = [];
+    for (let j = 1; j < cutter.length; j++) {
+      const hit = segmentIntersection(path[i - 1], path[i], cutter[j - 1], cutter[j]);
+      if (hit) { cuts.push(hit); }
+    }
+    cuts.sort((a, b) => a.t - b.t);
+    for (const cut of cuts) {
+      current.push(cut.point);
+      pieces.push(current);
+      current = [cut.point];
     }
+    current.push(path[i]);
+  }
+  pieces.push(current);
+  return pieces.map(withoutRepeats).filter(piece => piece.length > 1);
+}
 
-    groupDiv.appendChild(childrenDiv);
-    parent.appendChild(groupDiv);
+// Cut an open ring along a chord (positions from one point of its boundary to another,
+// running inside it) into two open rings.
+function cutRing(ring, chord) {
+  const start = chord[0], end = chord[chord.length - 1];
+  const insert = (r, p) => {
+    if (r.some(q => samePosition(q, p))) { return r; }
+    let best = 0, bestDistance = Infinity;
+    r.forEach((q, i) => {
+      const distance = segmentDistance2(p, q, r[(i + 1) % r.length]);
+      if (distance < bestDistance) { best = i; bestDistance = distance; }
+    });
+    return r.slice(0, best + 1).concat([p], r.slice(best + 1));
+  };
+  const r = insert(insert(ring, start), end);
+  const walk = (from, to) => {
+    const out = [];
+    for (let i = from; ; i = (i + 1) % r.length) {
+      out.push(r[i]);
+      if (i === to) { return out; }
+    }
+  };
+  const a = r.findIndex(q => samePosition(q, start));
+  const b = r.findIndex(q => samePosition(q, end));
+  const inside = chord.slice(1, -1);
+  return [walk(a, b).concat(inside.slice().reverse()), walk(b, a).concat(inside)];
+}
 
-    // Group checkbox toggles all children
-    L.DomEvent.on(groupCb, 'change', function () {
-      for (var i = 0; i < childItems.length; i++) {
-        childItems[i].input.checked = groupCb.checked;
-        if (groupCb.checked) { self._map.addLayer(childItems[i].layer); }
-        else { self._map.removeLayer(childItems[i].layer); }
+// Split polygon rings ([outer, ...holes] of [lng, lat]) with a cutting line. Returns the
+// rings of each piece, or null when the line doesn't cut across the polygon. Throws if the
+// line cuts through a hole.
+function splitPolygon(rings, cutter) {
+  const holes = rings.slice(1);
+  const insidePolygon = (p) => pointInRing(p, rings[0]) && !holes.some(hole => pointInRing(p, hole));
+  // Points where the line crosses the polygon's rings, in order along the line
+  const crossings = [];
+  for (let i = 1; i < cutter.length; i++) {
+    rings.forEach((ring, r) => {
+      for (let k = 1; k < ring.length; k++) {
+        const hit = segmentIntersection(cutter[i - 1], cutter[i], ring[k - 1], ring[k]);
+        if (hit) { crossings.push({ segment: i, t: hit.t, point: hit.point, ring: r }); }
       }
-      groupCb.indeterminate = false;
     });
+  }
+  crossings.sort((a, b) => a.segment - b.segment || a.t - b.t);
+  // Stretches of the line between two crossings that run inside the polygon
+  const chords = [];
+  for (let k = 1; k < crossings.length; k++) {
+    const from = crossings[k - 1], to = crossings[k];
+    const chord = withoutRepeats([from.point, ...cutter.slice(from.segment, to.segment), to.point]);
+    if (chord.length < 2) { continue; }
+    const probe = [(chord[0][0] + chord[1][0]) / 2, (chord[0][1] + chord[1][1]) / 2];
+    if (!insidePolygon(probe)) { continue; }
+    if (from.ring !== 0 || to.ring !== 0) { throw new Error('The split line must not cross a hole.'); }
+    chords.push({ chord, probe });
+  }
+  if (chords.length === 0) { return null; }
+  let pieces = [openRing(rings[0])];
+  for (const { chord, probe } of chords) {
+    const index = pieces.findIndex(piece => pointInRing(probe, piece));
+    if (index >= 0) { pieces.splice(index, 1, ...cutRing(pieces[index], chord)); }
+  }
+  return pieces.map(piece => [closeRing(piece), ...holes.filter(hole => pointInRing(hole[0], piece))]);
+}
 
-    // Toggle expand/collapse for children
-    var doToggle = function (e) {
-      L.DomEvent.stop(e);
-      var isHidden = childrenDiv.style.display === 'none';
-      childrenDiv.style.display = isHidden ? '' : 'none';
-      toggle.textContent = isHidden ? '\u25BC' : '\u25B6';
-    };
-    L.DomEvent.on(toggle, 'click', doToggle);
-    L.DomEvent.on(nameSpan, 'click', doToggle);
-  },
+// Polygon or line parts of a geometry: { kind: 'polygon' | 'line', parts }, or null for
+// other geometry types. Collections are flattened when all their members are of one kind.
+function geometryParts(geometry) {
+  switch (geometry?.type) {
+    case 'Feature':         return geometryParts(geometry.geometry);
+    case 'FeatureCollection':
+    case 'GeometryCollection': {
+      const members = (geometry.features || geometry.geometries || []).map(geometryParts);
+      if (members.length === 0 || members.some(m => !m || m.kind !== members[0].kind)) { return null; }
+      return { kind: members[0].kind, parts: members.flatMap(m => m.parts) };
+    }
+    case 'Polygon':         return { kind: 'polygon', parts: [geometry.coordinates] };
+    case 'MultiPolygon':    return { kind: 'polygon', parts: geometry.coordinates };
+    case 'LineString':      return { kind: 'line', parts: [geometry.coordinates] };
+    case 'MultiLineString': return { kind: 'line', parts: geometry.coordinates };
+  }
+  return null;
+}
 
-  _updateGroupCb: function (groupCb, childItems) {
-    var allChecked = childItems.every(function (ci) { return ci.input.checked; });
-    var someChecked = childItems.some(function (ci) { return ci.input.checked; });
-    groupCb.checked = allChecked;
-    groupCb.indeterminate = someChecked && !allChecked;
-  },
-});
+// Geometry made of polygon or line parts: single or multi depending on their number.
+function geometryFromParts(kind, parts) {
+  const type = kind === 'polygon' ? 'Polygon' : 'LineString';
+  return parts.length === 1 ? { type, coordinates: parts[0] } : { type: 'Multi' + type, coordinates: parts };
+}
 
-// Fetch the display label of a column from Grist metadata
-async function getColumnLabel(colId) {
-  try {
-    var colData = await grist.docApi.fetchTable('_grist_Tables_column');
-    for (var i = 0; i < colData.id.length; i++) {
-      if (colData.colId[i] === colId) {
-        return colData.label[i] || colId;
-      }
-    }
-  } catch (e) {
-    console.warn('Could not fetch column label:', e);
+// Split a polygon or line geometry with a cutting line of [lng, lat]. Returns the resulting
+// geometries — the first one keeps the parts of a multi-geometry the line doesn't cut —
+// or null when nothing was cut.
+function splitGeometry(geometry, cutter) {
+  const split = geometryParts(geometry);
+  if (!split) { return null; }
+  const kept = [], pieces = [];
+  for (const part of split.parts) {
+    const partPieces = split.kind === 'polygon' ? splitPolygon(part, cutter) : splitPath(part, cutter);
+    if (partPieces && partPieces.length > 1) { pieces.push(...partPieces); }
+    else { kept.push(part); }
   }
-  return colId;
+  if (pieces.length === 0) { return null; }
+  return [geometryFromParts(split.kind, [pieces[0], ...kept]),
+    ...pieces.slice(1).map(piece => geometryFromParts(split.kind, [piece]))];
 }
 
-// Fetch all column labels at once, returns {colId: label} map
-async function getAllColumnLabels() {
-  try {
-    var colData = await grist.docApi.fetchTable('_grist_Tables_column');
-    var map = {};
-    for (var i = 0; i < colData.id.length; i++) {
-      map[colData.colId[i]] = colData.label[i] || colData.colId[i];
+// Add a ring of [lng, lat] as a hole to the polygon part it lies in. Returns the new
+// geometry, or null when the ring isn't entirely inside a part (or overlaps one of its holes).
+function addHoleToGeometry(geometry, ring) {
+  const split = geometryParts(geometry);
+  if (!split || split.kind !== 'polygon') { return null; }
+  const crosses = (rings) => rings.some(r => {
+    for (let i = 1; i < r.length; i++) {
+      for (let j = 1; j < ring.length; j++) {
+        if (segmentsIntersect(r[i - 1], r[i], ring[j - 1], ring[j])) { return true; }
+      }
     }
-    return map;
-  } catch (e) {
-    console.warn('Could not fetch column labels:', e);
-    return {};
+    return false;
+  });
+  const index = split.parts.findIndex(rings =>
+    ring.every(p => pointInRing(p, rings[0])) && !crosses(rings)
+    && !rings.slice(1).some(hole => ring.some(p => pointInRing(p, hole)) || pointInRing(hole[0], ring)));
+  if (index < 0) { return null; }
+  const parts = split.parts.slice();
+  parts[index] = parts[index].concat([ring]);
+  return geometryFromParts('polygon', parts);
+}
+
+// Evaluate a single filter condition against a cell value.
+function evaluateCondition(rowVal, op, condVal) {
+  switch (op) {
+    case '==':         return rowVal == condVal;
+    case '!=':         return rowVal != condVal;
+    case '>':          return rowVal > condVal;
+    case '>=':         return rowVal >= condVal;
+    case '<':          return rowVal < condVal;
+    case '<=':         return rowVal <= condVal;
+    case 'contains':   return String(rowVal ?? '').includes(String(condVal));
+    case 'startsWith': return String(rowVal ?? '').startsWith(String(condVal));
+    default:           return true;
   }
 }
 
-// Return a copy of `overlays` with keys sorted by `orderedNames` (first = top of list).
-// Keys not in orderedNames appear at the end in their original order.
-function sortedOverlays(overlays, orderedNames) {
-  var result = {};
-  for (var i = 0; i < orderedNames.length; i++) {
-    var name = orderedNames[i];
-    if (name in overlays) { result[name] = overlays[name]; }
+// Returns true if row i passes the filter.
+// filter can be: null (pass all), a string (boolean column name), or an array of
+// {col, op, val} conditions (all must pass — AND logic).
+function evaluateRowFilter(tableData, i, filter) {
+  if (!filter) { return true; }
+  if (typeof filter === 'string') {
+    return !tableData[filter] || !!tableData[filter][i];
   }
-  for (var key in overlays) {
-    if (!(key in result)) { result[key] = overlays[key]; }
+  if (Array.isArray(filter)) {
+    return filter.every(cond => evaluateCondition(tableData[cond.col]?.[i], cond.op, cond.val));
   }
-  return result;
+  return true;
 }
 
-// Helper: add the appropriate layer control (grouped or flat)
-function addLayerControl(map, mainLayerGroups, additionalLayerGroups, isLayerMode, layerGroupName, orderedNames) {
-  var allOverlays = Object.assign({}, mainLayerGroups, additionalLayerGroups);
-  var totalCount = Object.keys(allOverlays).length;
-  if (totalCount <= 1) { return; }
-
-  var sorted = orderedNames ? sortedOverlays(allOverlays, orderedNames) : allOverlays;
+// Colours assigned to categorical values when the thematic style gives no explicit colours.
+const THEMATIC_PALETTE = [
+  '#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd',
+  '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf',
+];
+// Default colour ramp for numeric classifications (light yellow → dark red).
+const THEMATIC_RAMP = ['#ffffb2', '#bd0026'];
+
+// Parse "#rgb" or "#rrggbb" into [r, g, b]; returns null for anything else.
+function parseHexColor(color) {
+  const m = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color || '').trim());
+  if (!m) { return null; }
+  const hex = m[1].length === 3 ? m[1].replace(/./g, '$&$&') : m[1];
+  return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
 
-  if (isLayerMode && Object.keys(mainLayerGroups).length > 1) {
-    // Grouped control: main layers in a collapsible group, additional as standalone
-    var sortedMain = orderedNames ? sortedOverlays(mainLayerGroups, orderedNames) : mainLayerGroups;
-    var sortedAdditional = orderedNames ? sortedOverlays(additionalLayerGroups, orderedNames) : additionalLayerGroups;
-    var groups = {};
-    groups[layerGroupName] = sortedMain;
-    new L.Control.GroupedLayers(groups, sortedAdditional).addTo(map);
-  } else {
-    // Flat control (no Layer column or only one main group)
-    L.control.layers(null, sorted).addTo(map);
+// Return n colours spread evenly along the colour stops. Non-hex stops can't be
+// interpolated, so the nearest stop is used for them.
+function interpolateColors(stops, n) {
+  if (stops.length === n || n <= 0) { return stops.slice(0, n); }
+  if (stops.length === 1) { return Array(n).fill(stops[0]); }
+  const result = [];
+  for (let i = 0; i < n; i++) {
+    const pos = n === 1 ? 0 : i * (stops.length - 1) / (n - 1);
+    const lo = Math.floor(pos);
+    const hi = Math.min(lo + 1, stops.length - 1);
+    const a = parseHexColor(stops[lo]);
+    const b = parseHexColor(stops[hi]);
+    if (!a || !b) {
+      result.push(stops[Math.round(pos)]);
+      continue;
+    }
+    const t = pos - lo;
+    result.push('#' + a.map((c, k) => Math.round(c + (b[k] - c) * t).toString(16).padStart(2, '0')).join(''));
   }
+  return result;
 }
 
-// Compute the centroid of a ring (array of L.LatLng).
-function computeRingCentroid(ring) {
-  if (!ring || ring.length === 0) { return null; }
-  var sumLat = 0, sumLng = 0;
-  for (var i = 0; i < ring.length; i++) { sumLat += ring[i].lat; sumLng += ring[i].lng; }
-  return L.latLng(sumLat / ring.length, sumLng / ring.length);
+// Format a class break for legend labels (at most 2 decimals).
+function formatBreak(v) {
+  return String(Number(Number(v).toFixed(2)));
 }
 
-// Return one L.LatLng centroid per polygon part from a Leaflet polygon sublayer.
-// Works for Leaflet's MultiPolygon representation: Leaflet renders MultiPolygon as a single
-// L.Polygon whose getLatLngs() returns a depth-3 array [part0_rings, part1_rings, ...].
-// For a simple Polygon, getLatLngs() returns a depth-2 array [ring0, ring1, ...].
-function getSublayerPartCentroids(sublayer) {
-  if (!sublayer || typeof sublayer.getLatLngs !== 'function') return [];
-  var latlngs = sublayer.getLatLngs();
-  if (!latlngs || latlngs.length === 0) return [];
-  // MultiPolygon: latlngs[0] is one polygon part's ring array → latlngs[0][0] is an Array (a ring)
-  // Polygon:      latlngs[0] is a ring (Array of LatLng) → latlngs[0][0] is a LatLng (not Array)
-  var isMultiPoly = Array.isArray(latlngs[0]) && latlngs[0].length > 0 && Array.isArray(latlngs[0][0]);
-  if (isMultiPoly) {
-    return latlngs.map(function(part) { return computeRingCentroid(part[0]); }).filter(Boolean);
+// Build a classifier for the "Thematic style" setting over the given cell values.
+// config: { column, method, classes, breaks, colors, otherColor, strokeColor, fillOpacity }
+// Returns null when no thematic style is configured, otherwise
+// { classes: [{label, color}], colorFor(value) → colour or null when the value fits no class }.
+function computeThematicClassifier(config, values) {
+  if (!config || !config.column) { return null; }
+  const method = config.method || 'categorical';
+  const otherColor = config.otherColor || '#999999';
+  let classes = [];
+  let colorFor;
+
+  if (method === 'categorical') {
+    const explicit = config.colors && !Array.isArray(config.colors) ? config.colors : null;
+    const palette = Array.isArray(config.colors) && config.colors.length ? config.colors : THEMATIC_PALETTE;
+    const categories = explicit
+      ? Object.keys(explicit)
+      : [...new Set(values.filter(v => v != null && v !== '').map(String))].sort();
+    const colorByValue = {};
+    categories.forEach((cat, i) => {
+      colorByValue[cat] = explicit ? explicit[cat] : palette[i % palette.length];
+      classes.push({ label: cat, color: colorByValue[cat] });
+    });
+    colorFor = (v) => (v != null && String(v) in colorByValue) ? colorByValue[String(v)] : null;
   } else {
-    var ring = Array.isArray(latlngs[0]) ? latlngs[0] : latlngs;
-    var c = computeRingCentroid(ring);
-    return c ? [c] : [];
+    const numbers = values.filter(v => v !== null && v !== '' && isFinite(v)).map(Number).sort((a, b) => a - b);
+    const n = Math.max(1, parseInt(config.classes, 10) || 5);
+    let breaks = []; // inner thresholds: class i holds values in [breaks[i-1], breaks[i])
+    if (method === 'manual') {
+      breaks = (config.breaks || []).map(Number).filter(isFinite).sort((a, b) => a - b);
+    } else if (numbers.length > 0 && method === 'quantile') {
+      for (let i = 1; i < n; i++) { breaks.push(numbers[Math.floor(i * numbers.length / n)]); }
+    } else if (numbers.length > 0 && method === 'equalInterval') {
+      const min = numbers[0];
+      const step = (numbers[numbers.length - 1] - min) / n;
+      for (let i = 1; i < n; i++) { breaks.push(min + i * step); }
+    } else if (method !== 'quantile' && method !== 'equalInterval') {
+      console.warn('Unknown thematic style method:', method);
+      return null;
+    }
+    breaks = breaks.filter((b, i) => i === 0 || b !== breaks[i - 1]);
+    const stops = Array.isArray(config.colors) && config.colors.length ? config.colors : THEMATIC_RAMP;
+    const colors = interpolateColors(stops, breaks.length + 1);
+    for (let i = 0; i <= breaks.length; i++) {
+      let label;
+      if (breaks.length === 0) { label = numbers.length ? formatBreak(numbers[0]) + ' – ' + formatBreak(numbers[numbers.length - 1]) : 'All'; }
+      else if (i === 0) { label = '< ' + formatBreak(breaks[0]); }
+      else if (i === breaks.length) { label = '≥ ' + formatBreak(breaks[i - 1]); }
+      else { label = formatBreak(breaks[i - 1]) + ' – ' + formatBreak(breaks[i]); }
+      classes.push({ label, color: colors[i] });
+    }
+    colorFor = (v) => {
+      if (v === null || v === '' || !isFinite(v)) { return null; }
+      const idx = breaks.findIndex(b => Number(v) < b);
+      return colors[idx === -1 ? breaks.length : idx];
+    };
+  }
+
+  if (values.some(v => colorFor(v) === null)) {
+    classes.push({ label: 'Other', color: otherColor });
   }
+  return { classes, colorFor: (v) => colorFor(v) || otherColor };
 }
 
-// Build the HTML content for a permanent label tooltip.
-// fontSizeOverride replaces opts.fontSize (used in zoomend for dynamic sizing).
-function buildLabelHtml(text, opts, fontSizeOverride) {
-  var styles = ['display:inline-block', 'text-align:center'];
-  if (opts.bearing != null) styles.push('transform:rotate(' + Number(opts.bearing) + 'deg)');
-  var fs = (fontSizeOverride != null) ? fontSizeOverride : opts.fontSize;
-  if (fs) styles.push('font-size:' + fs + 'px');
-  if (opts.color) styles.push('color:' + opts.color);
-  if (opts.fontWeight) styles.push('font-weight:' + opts.fontWeight);
-  if (opts.lineHeight != null) styles.push('line-height:' + opts.lineHeight);
-  if (opts.opacity != null) styles.push('opacity:' + opts.opacity);
-  // Convert newlines to <br> so multi-line labels render correctly in HTML tooltips.
-  var htmlText = String(text).replace(/\n/g, '<br>');
-  return styles.length > 1
-    ? '<span style="' + styles.join(';') + '">' + htmlText + '</span>'
-    : htmlText;
+// Leaflet path options for a value under the thematic style (explicit row Style is merged on top).
+function thematicStyleFor(classifier, config, value) {
+  if (!classifier) { return null; }
+  const color = classifier.colorFor(value);
+  const style = { color: config.strokeColor || color, fillColor: color };
+  if (config.fillOpacity != null) { style.fillOpacity = config.fillOpacity; }
+  return style;
 }
 
-// Simple JSON.parse with null fallback (used for column widgetOptions).
-function safeParse(v) {
-  try { return JSON.parse(v); } catch (_) { return null; }
+// Turn a parsed GeoJSON value (geometry, Feature or FeatureCollection) into a list of
+// Features carrying the given properties (merged over any properties already present).
+function toGeoJSONFeatures(geojson, properties) {
+  if (!geojson || !geojson.type) { return []; }
+  if (geojson.type === 'FeatureCollection') {
+    return (geojson.features || []).flatMap(f => toGeoJSONFeatures(f, properties));
+  }
+  if (geojson.type === 'Feature') {
+    if (!geojson.geometry) { return []; }
+    return [{ type: 'Feature', geometry: geojson.geometry, properties: Object.assign({}, geojson.properties, properties) }];
+  }
+  return [{ type: 'Feature', geometry: geojson, properties: Object.assign({}, properties) }];
 }
 
-// Resolve the visible-column ID for a Ref field in the referenced table.
-// Ported from the calendar widget. Tries three approaches in order.
-function resolveRefDisplayColId(rec, allColumns, refTable) {
-  const widgetOptions = safeParse(rec.widgetOptions);
-  const visRef = widgetOptions?.visibleCol;
-  if (typeof visRef === 'number' && visRef > 0) {
-    const idx = allColumns.id.indexOf(visRef);
-    if (idx !== -1) {
-      const cid = allColumns.colId[idx];
-      if (cid && refTable[cid] !== undefined) { return cid; }
+// Convert a Grist cell value to something sensible in an exported file.
+function exportValue(v) {
+  v = parseValue(v);
+  if (Array.isArray(v) && v[0] === 'L') { return v.slice(1); }
+  return v;
+}
+
+function escapeXml(v) {
+  return String(v).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]);
+}
+
+// Serialise a FeatureCollection to KML. nameProp: property used as the Placemark name.
+function featureCollectionToKML(collection, nameProp) {
+  const coords = (ring) => ring.map(c => c[0] + ',' + c[1] + (c.length > 2 ? ',' + c[2] : '')).join(' ');
+  const polygon = (rings) => '<Polygon>' + rings.map((ring, i) =>
+    (i === 0 ? '<outerBoundaryIs>' : '<innerBoundaryIs>') + '<LinearRing><coordinates>' + coords(ring) +
+    '</coordinates></LinearRing>' + (i === 0 ? '</outerBoundaryIs>' : '</innerBoundaryIs>')).join('') + '</Polygon>';
+  const geometry = (g) => {
+    if (!g) { return ''; }
+    switch (g.type) {
+      case 'Point':           return '<Point><coordinates>' + coords([g.coordinates]) + '</coordinates></Point>';
+      case 'LineString':      return '<LineString><coordinates>' + coords(g.coordinates) + '</coordinates></LineString>';
+      case 'Polygon':         return polygon(g.coordinates);
+      case 'MultiPoint':      return '<MultiGeometry>' + g.coordinates.map(c => geometry({ type: 'Point', coordinates: c })).join('') + '</MultiGeometry>';
+      case 'MultiLineString': return '<MultiGeometry>' + g.coordinates.map(c => geometry({ type: 'LineString', coordinates: c })).join('') + '</MultiGeometry>';
+      case 'MultiPolygon':    return '<MultiGeometry>' + g.coordinates.map(polygon).join('') + '</MultiGeometry>';
+      case 'GeometryCollection': return '<MultiGeometry>' + g.geometries.map(geometry).join('') + '</MultiGeometry>';
+      default:                return '';
     }
+  };
+  let kml = '<?xml version="1.0" encoding="UTF-8"?>\n<kml xmlns="http://www.opengis.net/kml/2.2"><Document>\n';
+  for (const f of collection.features) {
+    const props = f.properties || {};
+    kml += '<Placemark>';
+    if (props[nameProp] != null) { kml += '<name>' + escapeXml(props[nameProp]) + '</name>'; }
+    kml += '<ExtendedData>' + Object.keys(props).map(k =>
+      '<Data name="' + escapeXml(k) + '"><value>' + escapeXml(props[k] ?? '') + '</value></Data>').join('') + '</ExtendedData>';
+    kml += geometry(f.geometry) + '</Placemark>\n';
   }
-  if (typeof visRef === 'string' && visRef && refTable[visRef] !== undefined) { return visRef; }
-  const dispRef = rec.displayCol;
-  if (typeof dispRef === 'number' && dispRef > 0) {
-    const idx = allColumns.id.indexOf(dispRef);
-    const formula = idx !== -1 ? (allColumns.formula?.[idx] ?? null) : null;
-    if (typeof formula === 'string') {
-      const m = /\$\w+\.(\w+)$/.exec(formula.trim());
-      if (m && refTable[m[1]] !== undefined) { return m[1]; }
+  return kml + '</Document></kml>\n';
+}
+
+// Serialise a FeatureCollection to GPX. Points become waypoints; lines and polygon
+// rings become track segments (GPX has no polygon type).
+function featureCollectionToGPX(collection, nameProp) {
+  const pt = (tag, c) => '<' + tag + ' lat="' + c[1] + '" lon="' + c[0] + '">' + (c.length > 2 ? '<ele>' + c[2] + '</ele>' : '');
+  const meta = (props) => (props[nameProp] != null ? '<name>' + escapeXml(props[nameProp]) + '</name>' : '') +
+    '<desc>' + escapeXml(Object.keys(props).filter(k => k !== nameProp).map(k => k + ': ' + (props[k] ?? '')).join('; ')) + '</desc>';
+  let wpts = '';
+  let trks = '';
+  for (const f of collection.features) {
+    const props = f.properties || {};
+    const points = [];
+    const segments = [];
+    const collect = (g) => {
+      if (!g) { return; }
+      switch (g.type) {
+        case 'Point':           points.push(g.coordinates); break;
+        case 'MultiPoint':      points.push(...g.coordinates); break;
+        case 'LineString':      segments.push(g.coordinates); break;
+        case 'MultiLineString': segments.push(...g.coordinates); break;
+        case 'Polygon':         segments.push(...g.coordinates); break;
+        case 'MultiPolygon':    g.coordinates.forEach(rings => segments.push(...rings)); break;
+        case 'GeometryCollection': g.geometries.forEach(collect); break;
+      }
+    };
+    collect(f.geometry);
+    for (const c of points) { wpts += pt('wpt', c) + meta(props) + '</wpt>\n'; }
+    if (segments.length > 0) {
+      trks += '<trk>' + meta(props) + segments.map(seg =>
+        '<trkseg>' + seg.map(c => pt('trkpt', c) + '</trkpt>').join('') + '</trkseg>').join('') + '</trk>\n';
     }
   }
-  return null;
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<gpx version="1.1" creator="Grist Map Widget" xmlns="http://www.topografix.com/GPX/1/1">\n' +
+    wpts + trks + '</gpx>\n';
 }
 
-let drawFieldConfigsCache = null; // { key: string, configs: [...] }
+// Trigger a browser download of a text file.
+function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
 
-// Fetch column type/metadata for the given colIds in selectedTableId.
-// Returns [{colId, label, type, refOptions, choiceItems}].
-async function fetchDrawFieldConfigs(colIds) {
-  const key = colIds.join('\0');
-  if (drawFieldConfigsCache?.key === key) { return drawFieldConfigsCache.configs; }
-  if (!selectedTableId) {
-    return colIds.map(colId => ({ colId, label: colId, type: 'Text', refOptions: null, choiceItems: null }));
+// Fetch additional layers from other Grist tables based on config
+async function fetchAdditionalLayers() {
+  const results = [];
+  if (!additionalLayersConfig || additionalLayersConfig.length === 0) {
+    return results;
   }
-  const [tables, allColumns] = await Promise.all([
-    grist.docApi.fetchTable('_grist_Tables'),
-    grist.docApi.fetchTable('_grist_Tables_column'),
-  ]);
-  const tableRef = tables.id[tables.tableId.indexOf(selectedTableId)];
-  const configs = [];
-  for (const colId of colIds) {
-    const idx = allColumns.id.findIndex((_, i) =>
-      allColumns.parentId[i] === tableRef && allColumns.colId[i] === colId);
-    if (idx === -1) {
-      configs.push({ colId, label: colId, type: 'Text', refOptions: null, choiceItems: null });
+  for (const config of additionalLayersConfig) {
+    if (!config.table || !config.columns || !config.columns.GeoJSON) {
+      console.warn("Skipping additional layer with missing table or GeoJSON column:", config);
       continue;
     }
-    const type = allColumns.type[idx] || 'Text';
-    const label = allColumns.label[idx] || colId;
-    const rec = { widgetOptions: allColumns.widgetOptions[idx], displayCol: allColumns.displayCol?.[idx] };
-    const widgetOptions = safeParse(rec.widgetOptions);
-    let refOptions = null;
-    let choiceItems = null;
-    if (type.startsWith('Ref:') || type.startsWith('RefList:')) {
-      const refTableId = type.startsWith('Ref:') ? type.slice(4) : type.slice(8);
-      try {
-        const refTable = await grist.docApi.fetchTable(refTableId);
-        if (refTable?.id) {
-          const visColId = resolveRefDisplayColId(rec, allColumns, refTable);
-          const lblCol = (visColId && refTable[visColId]) || null;
-          refOptions = refTable.id
-            .map((id, j) => ({ id, label: String(lblCol?.[j] ?? id) }))
-            .filter(o => o.id > 0);
+    try {
+      const tableData = await grist.docApi.fetchTable(config.table);
+      if (!tableData || !tableData.id) { continue; }
+      // Pivot column-oriented data to row-oriented records
+      const geojsonCol = config.columns.GeoJSON;
+      const nameCol = config.columns.Name;
+      const styleCol = config.columns.Style;
+      const labelCol = config.columns.Label || null;
+      const labelStyleCol = config.columns.LabelStyle || null;
+      const filter = config.filter || null;
+      const features = [];
+      for (let i = 0; i < tableData.id.length; i++) {
+        // Skip row if filter column is specified and its value is falsy
+        if (!evaluateRowFilter(tableData, i, filter)) { continue; }
+        const geojsonRaw = tableData[geojsonCol] ? tableData[geojsonCol][i] : null;
+        if (!geojsonRaw) { continue; }
+        let parsedGeoJSON;
+        try {
+          parsedGeoJSON = parseGeometryValue(geojsonRaw);
+        } catch (e) {
+          console.warn("Could not parse GeoJSON for row", i, ":", geojsonRaw);
+          continue;
         }
-      } catch (e) {
-        console.warn('Could not fetch ref table:', refTableId, e);
+        if (!parsedGeoJSON) { continue; }
+        parsedGeoJSON = geoJSONToWGS84(parsedGeoJSON, config.crs);
+        if (!parsedGeoJSON) { continue; } // in a coordinate system that can't be resolved
+        let style = {};
+        if (styleCol && tableData[styleCol]) {
+          const styleRaw = tableData[styleCol][i];
+          if (styleRaw) {
+            try {
+              style = parseGristJson(styleRaw) || {};
+            } catch (e) { /* ignore */ }
+          }
+        }
+        const name = (nameCol && tableData[nameCol]) ? tableData[nameCol][i] : null;
+        const label = (labelCol && tableData[labelCol]) ? tableData[labelCol][i] : null;
+        const labelStyle = (labelStyleCol && tableData[labelStyleCol]) ? tableData[labelStyleCol][i] : null;
+        features.push({ geojson: parsedGeoJSON, name, style, label, labelStyle });
       }
-    } else if (type === 'Choice' || type === 'ChoiceList') {
-      choiceItems = widgetOptions?.choices || [];
+      results.push({
+        layerName: config.layer || config.table,
+        order: config.order ?? 0,
+        interactive: config.interactive !== false,
+        features: features,
+      });
+    } catch (e) {
+      console.error("Error fetching additional table '" + config.table + "':", e);
     }
-    configs.push({ colId, label, type, refOptions, choiceItems });
   }
-  drawFieldConfigsCache = { key, configs };
-  return configs;
-}
-
-// Build a L.divIcon that renders as a styled SVG circle, used for Point features
-// so they are draggable in Leaflet.draw edit mode (L.Marker supports dragging; L.CircleMarker does not).
-function makePointIcon(style, selected) {
-  const r = style.radius || 8;
-  const weight = style.weight != null ? style.weight : 3;
-  const color = selected ? '#16B378' : (style.color || '#3388ff');
-  const fillColor = selected ? '#16B378' : (style.fillColor || color);
-  const fillOpacity = selected ? 0.6 : (style.fillOpacity != null ? style.fillOpacity : 0.3);
-  const opacity = style.opacity != null ? style.opacity : 1;
-  const d = (r + weight) * 2;
-  return L.divIcon({
-    className: '',
-    html: '<svg width="' + d + '" height="' + d + '" xmlns="http://www.w3.org/2000/svg">' +
-      '<circle cx="' + (d / 2) + '" cy="' + (d / 2) + '" r="' + r + '"' +
-      ' stroke="' + color + '" stroke-width="' + weight + '"' +
-      ' fill="' + fillColor + '" fill-opacity="' + fillOpacity + '"' +
-      ' opacity="' + opacity + '"/></svg>',
-    iconSize: [d, d],
-    iconAnchor: [d / 2, d / 2],
-    popupAnchor: [0, -(d / 2)],
-  });
+  return results;
 }
 
-// Show a modal form for the given field configs and return a Promise that resolves to
-// {colId: value, ...} on Save, or null if the user cancelled.
-function showDrawModal(fieldConfigs) {
-  return new Promise((resolve) => {
-    const existing = document.getElementById('draw-modal');
-    if (existing) { existing.remove(); }
+// WMTS tile layer: like L.TileLayer, but {z} in the URL template is replaced by the tile
+// matrix identifier of the zoom level (options.matrixIds[zoom]) when the service names them.
+L.TileLayer.WMTS = L.TileLayer.extend({
+  options: {
+    matrixIds: null,
+  },
 
-    const overlay = document.createElement('div');
-    overlay.id = 'draw-modal';
-    overlay.className = 'draw-modal-overlay';
+  getTileUrl: function (coords) {
+    var zoom = this._getZoomForUrl();
+    var ids = this.options.matrixIds;
+    return L.Util.template(this._url, L.extend({
+      s: this._getSubdomain(coords),
+      x: coords.x,
+      y: coords.y,
+      z: ids && ids[zoom] !== undefined ? ids[zoom] : zoom,
+    }, this.options));
+  },
+});
 
-    const box = document.createElement('div');
-    box.className = 'draw-modal-box';
+// Custom grouped layer control with collapsible groups
+L.Control.GroupedLayers = L.Control.extend({
+  options: {
+    position: 'topright',
+    collapsed: true,
+  },
 
-    const title = document.createElement('div');
-    title.className = 'draw-modal-title';
-    title.textContent = 'New shape';
-    box.appendChild(title);
+  // baseLayers: { "Basemap Name": L.Layer, ... } (radio buttons, one shown at a time)
+  // groups: { "Group Name": { "Sub Layer": L.Layer, ... }, ... }
+  // overlays: { "Layer Name": L.Layer, ... } (ungrouped/standalone)
+  initialize: function (baseLayers, groups, overlays, options) {
+    L.setOptions(this, options);
+    this._baseLayers = baseLayers || {};
+    this._groups = groups || {};
+    this._overlays = overlays || {};
+  },
 
-    const inputEls = {}; // colId → input/select element
+  onAdd: function (map) {
+    this._map = map;
+    var container = L.DomUtil.create('div', 'leaflet-control-layers');
+    L.DomEvent.disableClickPropagation(container);
+    L.DomEvent.disableScrollPropagation(container);
 
-    for (const cfg of fieldConfigs) {
-      const row = document.createElement('div');
-      row.className = 'draw-modal-row';
-      const isRef     = cfg.type?.startsWith('Ref:');
-      const isRefList = cfg.type?.startsWith('RefList:');
-      const isBool    = cfg.type === 'Bool';
-      const isChoice     = cfg.type === 'Choice';
-      const isChoiceList = cfg.type === 'ChoiceList';
-      const isInt = cfg.type === 'Int' || cfg.type === 'Integer';
-      const isNum = cfg.type === 'Numeric';
+    var section = L.DomUtil.create('section', 'leaflet-control-layers-list', container);
+    this._section = section;
+    this._buildContent();
 
-      if (isBool) {
-        const wrap = document.createElement('label');
-        wrap.className = 'draw-modal-checkbox-row';
-        const cb = document.createElement('input');
-        cb.type = 'checkbox';
-        const span = document.createElement('span');
-        span.textContent = cfg.label;
-        wrap.appendChild(cb);
-        wrap.appendChild(span);
-        row.appendChild(wrap);
-        inputEls[cfg.colId] = cb;
+    if (this.options.collapsed) {
+      if (!L.Browser.android) {
+        L.DomEvent.on(container, 'mouseenter', this._expand, this);
+        L.DomEvent.on(container, 'mouseleave', this._collapse, this);
+      }
+      var link = L.DomUtil.create('a', 'leaflet-control-layers-toggle', container);
+      link.href = '#';
+      link.title = 'Layers';
+      if (L.Browser.touch) {
+        L.DomEvent.on(link, 'click', L.DomEvent.stop);
+        L.DomEvent.on(link, 'click', this._expand, this);
       } else {
-        const lbl = document.createElement('label');
-        lbl.textContent = cfg.label;
-        row.appendChild(lbl);
-        let el;
-        if ((isRef || isRefList) && cfg.refOptions) {
-          el = document.createElement('select');
-          el.className = 'draw-modal-input';
+        L.DomEvent.on(link, 'focus', this._expand, this);
+      }
+    } else {
+      this._expand();
+    }
+
+    return container;
+  },
+
+  _expand: function () {
+    L.DomUtil.addClass(this.getContainer(), 'leaflet-control-layers-expanded');
+    return this;
+  },
+
+  _collapse: function () {
+    L.DomUtil.removeClass(this.getContainer(), 'leaflet-control-layers-expanded');
+    return this;
+  },
+
+  _buildContent: function () {
+    var section = this._section;
+    if (Object.keys(this._baseLayers).length > 0) {
+      var baseDiv = L.DomUtil.create('div', 'leaflet-control-layers-base', section);
+      for (var baseName in this._baseLayers) {
+        this._addBaseRow(baseDiv, baseName, this._baseLayers[baseName]);
+      }
+      L.DomUtil.create('div', 'leaflet-control-layers-separator', section);
+    }
+    var overlaysDiv = L.DomUtil.create('div', 'leaflet-control-layers-overlays', section);
+
+    // Add groups
+    var hasGroups = false;
+    for (var groupName in this._groups) {
+      this._addGroup(overlaysDiv, groupName, this._groups[groupName]);
+      hasGroups = true;
+    }
+
+    // Add separator between groups and standalone overlays
+    if (hasGroups && Object.keys(this._overlays).length > 0) {
+      L.DomUtil.create('div', 'leaflet-control-layers-separator', overlaysDiv);
+    }
+
+    // Add standalone overlays
+    for (var name in this._overlays) {
+      this._addOverlayRow(overlaysDiv, name, this._overlays[name]);
+    }
+  },
+
+  _addBaseRow: function (parent, name, layer) {
+    var label = document.createElement('label');
+    var input = document.createElement('input');
+    input.type = 'radio';
+    input.name = 'leaflet-base-layers-' + L.stamp(this);
+    input.className = 'leaflet-control-layers-selector';
+    input.checked = this._map.hasLayer(layer);
+    var self = this;
+    L.DomEvent.on(input, 'change', function () {
+      for (var other in self._baseLayers) {
+        if (self._baseLayers[other] !== layer) { self._map.removeLayer(self._baseLayers[other]); }
+      }
+      self._map.addLayer(layer);
+    });
+    var span = document.createElement('span');
+    span.textContent = ' ' + name;
+    label.appendChild(input);
+    label.appendChild(span);
+    parent.appendChild(label);
+  },
+
+  _addOverlayRow: function (parent, name, layer) {
+    var label = document.createElement('label');
+    var input = document.createElement('input');
+    input.type = 'checkbox';
+    input.className = 'leaflet-control-layers-selector';
+    input.checked = this._map.hasLayer(layer);
+    var self = this;
+    L.DomEvent.on(input, 'change', function () {
+      if (input.checked) { self._map.addLayer(layer); }
+      else { self._map.removeLayer(layer); }
+    });
+    var span = document.createElement('span');
+    span.textContent = ' ' + name;
+    label.appendChild(input);
+    label.appendChild(span);
+    parent.appendChild(label);
+  },
+
+  _addGroup: function (parent, groupName, layers) {
+    var groupDiv = document.createElement('div');
+    groupDiv.className = 'leaflet-control-layers-group';
+
+    // Group header (div, not label, so toggle/name clicks don't affect checkbox)
+    var header = document.createElement('div');
+    header.className = 'leaflet-control-layers-group-header';
+
+    var groupCb = document.createElement('input');
+    groupCb.type = 'checkbox';
+    groupCb.className = 'leaflet-control-layers-selector';
+    groupCb.checked = true;
+
+    var toggle = document.createElement('span');
+    toggle.className = 'leaflet-control-layers-group-toggle';
+    toggle.textContent = '\u25B6';
+
+    var nameSpan = document.createElement('span');
+    nameSpan.className = 'leaflet-control-layers-group-name';
+    nameSpan.textContent = ' ' + groupName;
+
+    header.appendChild(groupCb);
+    header.appendChild(toggle);
+    header.appendChild(nameSpan);
+    groupDiv.appendChild(header);
+
+    // Children (collapsed by default)
+    var childrenDiv = document.createElement('div');
+    childrenDiv.className = 'leaflet-control-layers-group-children';
+    childrenDiv.style.display = 'none';
+
+    var childItems = [];
+    var self = this;
+
+    for (var layerName in layers) {
+      (function (lName, lyr) {
+        var childLabel = document.createElement('label');
+        var childCb = document.createElement('input');
+        childCb.type = 'checkbox';
+        childCb.className = 'leaflet-control-layers-selector';
+        childCb.checked = self._map.hasLayer(lyr);
+        childItems.push({ input: childCb, layer: lyr });
+
+        var childSpan = document.createElement('span');
+        childSpan.textContent = ' ' + lName;
+        childLabel.appendChild(childCb);
+        childLabel.appendChild(childSpan);
+        childrenDiv.appendChild(childLabel);
+
+        L.DomEvent.on(childCb, 'change', function () {
+          if (childCb.checked) { self._map.addLayer(lyr); }
+          else { self._map.removeLayer(lyr); }
+          self._updateGroupCb(groupCb, childItems);
+        });
+      })(layerName, layers[layerName]);
+    }
+
+    groupDiv.appendChild(childrenDiv);
+    parent.appendChild(groupDiv);
+
+    // Group checkbox toggles all children
+    L.DomEvent.on(groupCb, 'change', function () {
+      for (var i = 0; i < childItems.length; i++) {
+        childItems[i].input.checked = groupCb.checked;
+        if (groupCb.checked) { self._map.addLayer(childItems[i].layer); }
+        else { self._map.removeLayer(childItems[i].layer); }
+      }
+      groupCb.indeterminate = false;
+    });
+
+    // Toggle expand/collapse for children
+    var doToggle = function (e) {
+      L.DomEvent.stop(e);
+      var isHidden = childrenDiv.style.display === 'none';
+      childrenDiv.style.display = isHidden ? '' : 'none';
+      toggle.textContent = isHidden ? '\u25BC' : '\u25B6';
+    };
+    L.DomEvent.on(toggle, 'click', doToggle);
+    L.DomEvent.on(nameSpan, 'click', doToggle);
+  },
+
+  _updateGroupCb: function (groupCb, childItems) {
+    var allChecked = childItems.every(function (ci) { return ci.input.checked; });
+    var someChecked = childItems.some(function (ci) { return ci.input.checked; });
+    groupCb.checked = allChecked;
+    groupCb.indeterminate = someChecked && !allChecked;
+  },
+});
+
+// Return 'polygon', 'line' or 'point' for the first geometry of a GeoJSON object.
+function geometryKind(geojson) {
+  if (!geojson || !geojson.type) { return 'polygon'; }
+  if (geojson.type === 'Feature') { return geometryKind(geojson.geometry); }
+  if (geojson.type === 'FeatureCollection') { return geometryKind(geojson.features?.[0]); }
+  if (geojson.type === 'GeometryCollection') { return geometryKind(geojson.geometries?.[0]); }
+  if (/Point/.test(geojson.type)) { return 'point'; }
+  if (/LineString/.test(geojson.type)) { return 'line'; }
+  return 'polygon';
+}
+
+// Return the most frequent value (compared as JSON) in `values`, or null if empty.
+// Ties go to the value seen first.
+function mostCommon(values) {
+  const counts = new Map();
+  let best = null;
+  let bestCount = 0;
+  for (const value of values) {
+    const key = JSON.stringify(value);
+    const count = (counts.get(key) || 0) + 1;
+    counts.set(key, count);
+    if (count > bestCount) { best = value; bestCount = count; }
+  }
+  return best;
+}
+
+// Build a small SVG swatch for a legend entry. kind: 'polygon' | 'line' | 'point'.
+// Style values may come from table data, so they are only ever set as attributes.
+function buildLegendSwatch(kind, style) {
+  const ns = 'http://www.w3.org/2000/svg';
+  const svg = document.createElementNS(ns, 'svg');
+  svg.setAttribute('width', '20');
+  svg.setAttribute('height', '14');
+  svg.setAttribute('class', 'leaflet-control-legend-swatch');
+  const color = style.color || '#3388ff';
+  let shape;
+  if (kind === 'line') {
+    shape = document.createElementNS(ns, 'line');
+    shape.setAttribute('x1', '1');
+    shape.setAttribute('y1', '7');
+    shape.setAttribute('x2', '19');
+    shape.setAttribute('y2', '7');
+  } else if (kind === 'point') {
+    shape = document.createElementNS(ns, 'circle');
+    shape.setAttribute('cx', '10');
+    shape.setAttribute('cy', '7');
+    shape.setAttribute('r', '5');
+  } else {
+    shape = document.createElementNS(ns, 'rect');
+    shape.setAttribute('x', '1');
+    shape.setAttribute('y', '1');
+    shape.setAttribute('width', '18');
+    shape.setAttribute('height', '12');
+  }
+  shape.setAttribute('stroke', color);
+  shape.setAttribute('stroke-width', String(Math.min(Number(style.weight) || 2, 4)));
+  shape.setAttribute('stroke-opacity', String(style.opacity != null ? style.opacity : 1));
+  if (style.dashArray) { shape.setAttribute('stroke-dasharray', String(style.dashArray)); }
+  if (kind === 'line') {
+    shape.setAttribute('fill', 'none');
+  } else {
+    shape.setAttribute('fill', style.fillColor || color);
+    shape.setAttribute('fill-opacity', String(style.fillOpacity != null ? style.fillOpacity : 0.3));
+  }
+  svg.appendChild(shape);
+  return svg;
+}
+
+// Export control: one button per output format; onExport(format) is called on click.
+L.Control.Export = L.Control.extend({
+  options: {
+    position: 'topleft',
+    formats: ['GeoJSON', 'KML', 'GPX'],
+  },
+
+  initialize: function (onExport, options) {
+    L.setOptions(this, options);
+    this._onExport = onExport;
+  },
+
+  onAdd: function () {
+    var container = L.DomUtil.create('div', 'leaflet-bar leaflet-control-export');
+    L.DomEvent.disableClickPropagation(container);
+    var self = this;
+    this.options.formats.forEach(function (format) {
+      var link = L.DomUtil.create('a', '', container);
+      link.href = '#';
+      link.textContent = format;
+      link.title = 'Export visible features as ' + format;
+      L.DomEvent.on(link, 'click', function (e) {
+        L.DomEvent.stop(e);
+        self._onExport(format);
+      });
+    });
+    return container;
+  },
+});
+
+// Import control: a button opening a file picker; onFile(file) is called with the choice.
+// Files can also be dropped on the map while this control is shown (see createMap).
+L.Control.Import = L.Control.extend({
+  options: {
+    position: 'topleft',
+    accept: '.geojson,.json,.kml,.gpx,.zip',
+  },
+
+  initialize: function (onFile, options) {
+    L.setOptions(this, options);
+    this._onFile = onFile;
+  },
+
+  onAdd: function () {
+    var container = L.DomUtil.create('div', 'leaflet-bar leaflet-control-import');
+    L.DomEvent.disableClickPropagation(container);
+    var input = L.DomUtil.create('input', '', container);
+    input.type = 'file';
+    input.accept = this.options.accept;
+    input.style.display = 'none';
+    var link = L.DomUtil.create('a', '', container);
+    link.href = '#';
+    link.textContent = 'Import';
+    link.title = 'Import GeoJSON, KML, GPX or zipped Shapefile (or drop a file on the map)';
+    var self = this;
+    L.DomEvent.on(link, 'click', function (e) {
+      L.DomEvent.stop(e);
+      input.click();
+    });
+    L.DomEvent.on(input, 'change', function () {
+      if (input.files.length > 0) { self._onFile(input.files[0]); }
+      input.value = '';
+    });
+    return container;
+  },
+});
+
+// Selection control: draw a rectangle ("Box") or a freehand shape ("Lasso") on the map.
+// onSelect(ring, additive) receives the shape as a closed ring of [lng, lat] positions
+// (additive when Shift is held while drawing); "Clear" calls onClear().
+L.Control.Select = L.Control.extend({
+  options: {
+    position: 'topleft',
+    previewStyle: { color: '#16B378', weight: 2, dashArray: '4, 4', fillOpacity: 0.1, interactive: false },
+  },
+
+  initialize: function (onSelect, onClear, options) {
+    L.setOptions(this, options);
+    this._onSelect = onSelect;
+    this._onClear = onClear;
+  },
+
+  onAdd: function (map) {
+    var container = L.DomUtil.create('div', 'leaflet-bar leaflet-control-select');
+    L.DomEvent.disableClickPropagation(container);
+    var self = this;
+    this._links = {};
+    [
+      ['box', 'Box', 'Select features inside a rectangle (hold Shift to add to the selection)'],
+      ['lasso', 'Lasso', 'Select features inside a freehand shape (hold Shift to add to the selection)'],
+      ['clear', 'Clear', 'Clear the selection'],
+    ].forEach(function (def) {
+      var link = L.DomUtil.create('a', '', container);
+      link.href = '#';
+      link.textContent = def[1];
+      link.title = def[2];
+      self._links[def[0]] = link;
+      L.DomEvent.on(link, 'click', function (e) {
+        L.DomEvent.stop(e);
+        var tool = def[0];
+        var wasActive = self._tool === tool;
+        self._stop();
+        if (tool === 'clear') { self._onClear(); }
+        else if (!wasActive) { self._start(tool); }
+      });
+    });
+    L.DomEvent.on(document, 'keydown', this._onKeyDown, this);
+    return container;
+  },
+
+  onRemove: function () {
+    this._stop();
+    L.DomEvent.off(document, 'keydown', this._onKeyDown, this);
+  },
+
+  _start: function (tool) {
+    var map = this._map;
+    this._tool = tool;
+    L.DomUtil.addClass(this._links[tool], 'active');
+    L.DomUtil.addClass(map.getContainer(), 'leaflet-select-active');
+    // Shift+drag would otherwise start a box zoom
+    this._restore = { dragging: map.dragging.enabled(), boxZoom: map.boxZoom.enabled() };
+    map.dragging.disable();
+    map.boxZoom.disable();
+    map.on('mousedown', this._onMouseDown, this);
+  },
+
+  _stop: function () {
+    var map = this._map;
+    if (!this._tool || !map) { return; }
+    L.DomUtil.removeClass(this._links[this._tool], 'active');
+    L.DomUtil.removeClass(map.getContainer(), 'leaflet-select-active');
+    if (this._restore.dragging) { map.dragging.enable(); }
+    if (this._restore.boxZoom) { map.boxZoom.enable(); }
+    map.off('mousedown', this._onMouseDown, this);
+    map.off('mousemove', this._onMouseMove, this);
+    L.DomEvent.off(document, 'mouseup', this._onMouseUp, this);
+    if (this._preview) { this._preview.remove(); }
+    this._preview = null;
+    this._tool = null;
+  },
+
+  _onKeyDown: function (e) {
+    if (e.key === 'Escape') { this._stop(); }
+  },
+
+  _onMouseDown: function (e) {
+    this._latlngs = [e.latlng, e.latlng];
+    this._additive = !!(e.originalEvent && e.originalEvent.shiftKey);
+    this._preview = (this._tool === 'box'
+      ? L.rectangle(L.latLngBounds(this._latlngs), this.options.previewStyle)
+      : L.polygon(this._latlngs, this.options.previewStyle)).addTo(this._map);
+    this._map.on('mousemove', this._onMouseMove, this);
+    L.DomEvent.on(document, 'mouseup', this._onMouseUp, this);
+  },
+
+  _onMouseMove: function (e) {
+    if (this._tool === 'box') {
+      this._latlngs[1] = e.latlng;
+      this._preview.setBounds(L.latLngBounds(this._latlngs));
+    } else {
+      this._latlngs.push(e.latlng);
+      this._preview.setLatLngs(this._latlngs);
+    }
+  },
+
+  _onMouseUp: function () {
+    var latlngs = this._latlngs;
+    var moved = !latlngs[0].equals(latlngs[latlngs.length - 1]);
+    if (!moved) { return this._stop(); } // a plain click selects nothing
+    // Swallow the click ending the drag, so it doesn't select the feature under the pointer
+    var container = this._map.getContainer();
+    var swallow = function (e) { e.stopPropagation(); };
+    container.addEventListener('click', swallow, true);
+    setTimeout(function () { container.removeEventListener('click', swallow, true); }, 0);
+    if (this._tool === 'box') {
+      var b = L.latLngBounds(latlngs);
+      latlngs = [b.getSouthWest(), b.getNorthWest(), b.getNorthEast(), b.getSouthEast()];
+    }
+    var additive = this._additive;
+    this._stop();
+    var ring = latlngs.map(function (ll) { return [ll.lng, ll.lat]; });
+    ring.push(ring[0]);
+    this._onSelect(ring, additive);
+  },
+});
+
+// Point editing control for coordinate mode: "Move" toggles dragging of the markers
+// (onMoveToggle(enabled)); "Add" waits for a click on the map and calls onAddPoint(latlng).
+L.Control.PointEdit = L.Control.extend({
+  options: {
+    position: 'topleft',
+  },
+
+  initialize: function (onMoveToggle, onAddPoint, options) {
+    L.setOptions(this, options);
+    this._onMoveToggle = onMoveToggle;
+    this._onAddPoint = onAddPoint;
+  },
+
+  onAdd: function (map) {
+    var container = L.DomUtil.create('div', 'leaflet-bar leaflet-control-point-edit');
+    L.DomEvent.disableClickPropagation(container);
+    var self = this;
+    this._moveLink = L.DomUtil.create('a', '', container);
+    this._moveLink.href = '#';
+    this._moveLink.textContent = 'Move';
+    this._moveLink.title = 'Drag markers to move them';
+    L.DomEvent.on(this._moveLink, 'click', function (e) {
+      L.DomEvent.stop(e);
+      self._setMoving(!self._moving);
+    });
+    this._addLink = L.DomUtil.create('a', '', container);
+    this._addLink.href = '#';
+    this._addLink.textContent = 'Add';
+    this._addLink.title = 'Click the map to add a point';
+    L.DomEvent.on(this._addLink, 'click', function (e) {
+      L.DomEvent.stop(e);
+      if (self._adding) { self._stopAdding(); } else { self._startAdding(); }
+    });
+    L.DomEvent.on(document, 'keydown', this._onKeyDown, this);
+    return container;
+  },
+
+  onRemove: function () {
+    this._setMoving(false);
+    this._stopAdding();
+    L.DomEvent.off(document, 'keydown', this._onKeyDown, this);
+  },
+
+  _setMoving: function (moving) {
+    if (!!this._moving === moving) { return; }
+    this._moving = moving;
+    L.DomUtil[moving ? 'addClass' : 'removeClass'](this._moveLink, 'active');
+    this._onMoveToggle(moving);
+  },
+
+  _startAdding: function () {
+    this._adding = true;
+    L.DomUtil.addClass(this._addLink, 'active');
+    L.DomUtil.addClass(this._map.getContainer(), 'leaflet-select-active');
+    this._map.on('click', this._onMapClick, this);
+  },
+
+  _stopAdding: function () {
+    if (!this._adding) { return; }
+    this._adding = false;
+    L.DomUtil.removeClass(this._addLink, 'active');
+    L.DomUtil.removeClass(this._map.getContainer(), 'leaflet-select-active');
+    this._map.off('click', this._onMapClick, this);
+  },
+
+  _onMapClick: function (e) {
+    this._stopAdding();
+    this._onAddPoint(e.latlng);
+  },
+
+  _onKeyDown: function (e) {
+    if (e.key === 'Escape') { this._stopAdding(); }
+  },
+});
+
+// Measure control: "Distance" and "Area" measure a path or polygon clicked on the map,
+// showing measureText([[lng, lat], ...], kind) next to the last point. A double click ends
+// the measurement (it stays on the map until the next one); "Clear" and Escape remove it.
+L.Control.Measure = L.Control.extend({
+  options: {
+    position: 'topleft',
+  },
+
+  initialize: function (measureText, options) {
+    L.setOptions(this, options);
+    this._measureText = measureText;
+  },
+
+  onAdd: function (map) {
+    var container = L.DomUtil.create('div', 'leaflet-bar leaflet-control-measure');
+    L.DomEvent.disableClickPropagation(container);
+    var self = this;
+    this._links = {};
+    [['distance', 'Distance', 'Measure a distance'], ['area', 'Area', 'Measure an area']].forEach(function (def) {
+      var link = L.DomUtil.create('a', '', container);
+      link.href = '#';
+      link.textContent = def[1];
+      link.title = def[2];
+      L.DomEvent.on(link, 'click', function (e) {
+        L.DomEvent.stop(e);
+        if (self._kind === def[0]) { self._finish(); } else { self._start(def[0]); }
+      });
+      self._links[def[0]] = link;
+    });
+    var clearLink = L.DomUtil.create('a', '', container);
+    clearLink.href = '#';
+    clearLink.textContent = 'Clear';
+    clearLink.title = 'Remove the measurement';
+    L.DomEvent.on(clearLink, 'click', function (e) {
+      L.DomEvent.stop(e);
+      self._clear();
+    });
+    L.DomEvent.on(document, 'keydown', this._onKeyDown, this);
+    return container;
+  },
+
+  onRemove: function () {
+    this._clear();
+    L.DomEvent.off(document, 'keydown', this._onKeyDown, this);
+  },
+
+  _start: function (kind) {
+    this._clear();
+    var map = this._map;
+    this._kind = kind;
+    this._points = [];
+    this._layer = L.featureGroup().addTo(map);
+    L.DomUtil.addClass(this._links[kind], 'active');
+    L.DomUtil.addClass(map.getContainer(), 'leaflet-select-active');
+    this._doubleClickZoom = map.doubleClickZoom.enabled();
+    map.doubleClickZoom.disable();
+    map.on('click', this._onClick, this);
+    map.on('mousemove', this._onMove, this);
+    map.on('dblclick', this._finish, this);
+  },
+
+  // Stop adding points, keeping the measurement on the map.
+  _finish: function () {
+    if (!this._kind) { return; }
+    var map = this._map;
+    L.DomUtil.removeClass(this._links[this._kind], 'active');
+    L.DomUtil.removeClass(map.getContainer(), 'leaflet-select-active');
+    if (this._doubleClickZoom) { map.doubleClickZoom.enable(); }
+    map.off('click', this._onClick, this);
+    map.off('mousemove', this._onMove, this);
+    map.off('dblclick', this._finish, this);
+    this._draw(this._points);
+    this._kind = null;
+  },
+
+  _clear: function () {
+    this._finish();
+    if (this._layer) { this._map.removeLayer(this._layer); }
+    this._layer = null;
+    this._points = [];
+  },
+
+  _onClick: function (e) {
+    var last = this._points[this._points.length - 1];
+    // The two clicks of a double click land on the same point
+    if (last && last.equals(e.latlng)) { return; }
+    this._points.push(e.latlng);
+    this._draw(this._points);
+  },
+
+  _onMove: function (e) {
+    if (this._points.length > 0) { this._draw(this._points.concat([e.latlng])); }
+  },
+
+  _draw: function (latlngs) {
+    if (!this._layer) { return; }
+    this._layer.clearLayers();
+    if (latlngs.length === 0) { return; }
+    var kind = this._kind || this._lastKind;
+    this._lastKind = kind;
+    var style = { color: '#16B378', weight: 3, dashArray: '6, 4', fillOpacity: 0.1, interactive: false };
+    var shape = kind === 'area' && latlngs.length > 2 ? L.polygon(latlngs, style) : L.polyline(latlngs, style);
+    this._layer.addLayer(shape);
+    latlngs.forEach(function (latlng) {
+      this._layer.addLayer(L.circleMarker(latlng, { radius: 3, color: '#16B378', interactive: false }));
+    }, this);
+    if (latlngs.length > 1) {
+      var path = latlngs.map(function (ll) { return [ll.lng, ll.lat]; });
+      this._layer.addLayer(L.tooltip({ permanent: true, direction: 'right', offset: [8, 0], className: 'measure-tooltip' })
+        .setLatLng(latlngs[latlngs.length - 1])
+        .setContent(this._measureText(path, kind)));
+    }
+  },
+
+  _onKeyDown: function (e) {
+    if (e.key === 'Escape') { this._clear(); }
+  },
+});
+
+// Geometry tools control: one button per operation on the selected features.
+// operations: [{ label, title, run }] — run() is called when its button is clicked.
+L.Control.GeometryTools = L.Control.extend({
+  options: {
+    position: 'topleft',
+  },
+
+  initialize: function (operations, options) {
+    L.setOptions(this, options);
+    this._operations = operations;
+  },
+
+  onAdd: function () {
+    var container = L.DomUtil.create('div', 'leaflet-bar leaflet-control-geometry-tools');
+    L.DomEvent.disableClickPropagation(container);
+    this._operations.forEach(function (operation) {
+      var link = L.DomUtil.create('a', '', container);
+      link.href = '#';
+      link.textContent = operation.label;
+      link.title = operation.title;
+      L.DomEvent.on(link, 'click', function (e) {
+        L.DomEvent.stop(e);
+        operation.run();
+      });
+    });
+    return container;
+  },
+});
+
+// Hexagonal binning layer: aggregates points into hexagons of `radius` pixels at the current
+// zoom level, coloured by the count, sum or mean of the point values (quantile classes).
+// points: [{ latlng, value }]. valueLabel: name of the values (null when there are none, in
+// which case only counts are shown). onClassify(classes) receives the classes for the legend.
+L.HexbinLayer = L.FeatureGroup.extend({
+  options: {
+    radius: 20,
+    aggregate: 'count',
+    valueLabel: null,
+    style: { weight: 1, color: '#ffffff', opacity: 0.8, fillOpacity: 0.7 },
+    onClassify: null,
+  },
+
+  initialize: function (points, options) {
+    L.FeatureGroup.prototype.initialize.call(this, [], options);
+    this._points = points || [];
+    this._renderer = L.canvas({ padding: 0.5 });
+    this._hexagons = {}; // bin key → L.polygon drawn for it
+  },
+
+  setData: function (points) {
+    this._points = points;
+    this._bins = null;
+    if (this._map) { this._redraw(); }
+    return this;
+  },
+
+  onAdd: function (map) {
+    L.FeatureGroup.prototype.onAdd.call(this, map);
+    map.on('moveend', this._redraw, this);
+    this._redraw();
+  },
+
+  onRemove: function (map) {
+    map.off('moveend', this._redraw, this);
+    L.FeatureGroup.prototype.onRemove.call(this, map);
+  },
+
+  // Assign every point to the hexagon containing it (same algorithm as d3-hexbin), in
+  // absolute pixel coordinates so the grid doesn't shift while panning.
+  _bin: function (zoom) {
+    var dx = this.options.radius * Math.sqrt(3);
+    var dy = this.options.radius * 1.5;
+    var bins = {};
+    for (var i = 0; i < this._points.length; i++) {
+      var pt = this._points[i];
+      var p = this._map.project(pt.latlng, zoom);
+      var py = p.y / dy;
+      var pj = Math.round(py);
+      var px = p.x / dx - (pj & 1) / 2;
+      var pi = Math.round(px);
+      var py1 = py - pj;
+      if (Math.abs(py1) * 3 > 1) {
+        var px1 = px - pi;
+        var pi2 = pi + (px < pi ? -1 : 1) / 2;
+        var pj2 = pj + (py < pj ? -1 : 1);
+        var px2 = px - pi2;
+        var py2 = py - pj2;
+        if (px1 * px1 + py1 * py1 > px2 * px2 + py2 * py2) {
+          pi = pi2 + (pj & 1 ? 1 : -1) / 2;
+          pj = pj2;
+        }
+      }
+      var key = zoom + ':' + pi + ':' + pj;
+      var bin = bins[key] || (bins[key] = { key: key, x: (pi + (pj & 1) / 2) * dx, y: pj * dy, count: 0, sum: 0, n: 0 });
+      bin.count++;
+      if (pt.value !== null && pt.value !== '' && isFinite(pt.value)) {
+        bin.sum += Number(pt.value);
+        bin.n++;
+      }
+    }
+    return Object.keys(bins).map(function (k) { return bins[k]; });
+  },
+
+  _aggregateOf: function (bin) {
+    if (!this.options.valueLabel || this.options.aggregate === 'count') { return bin.count; }
+    if (this.options.aggregate === 'sum') { return bin.sum; }
+    return bin.n > 0 ? bin.sum / bin.n : null;
+  },
+
+  _popupHtml: function (bin) {
+    var html = '<strong>' + bin.count + (bin.count === 1 ? ' point' : ' points') + '</strong>';
+    var label = this.options.valueLabel;
+    if (label) {
+      label = DOMPurify.sanitize(String(label));
+      html += '<br><em>Sum of ' + label + ':</em> ' + formatBreak(bin.sum)
+            + '<br><em>Mean of ' + label + ':</em> ' + (bin.n > 0 ? formatBreak(bin.sum / bin.n) : '–');
+    }
+    return html;
+  },
+
+  // Re-bin on zoom and data changes; on every move, draw the hexagons in and around the view.
+  // Hexagons already drawn are kept (and updated after a re-bin), so an open popup stays open.
+  _redraw: function () {
+    var map = this._map;
+    if (!map) { return; }
+    var zoom = map.getZoom();
+    var self = this;
+    if (!this._bins || this._binZoom !== zoom) {
+      this._bins = this._bin(zoom);
+      this._binZoom = zoom;
+      // Classes are computed over all hexagons, so colours don't change while panning
+      this._classifier = computeThematicClassifier({ column: 'hexbin', method: 'quantile', classes: 5 },
+        this._bins.map(function (bin) { return self._aggregateOf(bin); }));
+      if (this.options.onClassify) { this.options.onClassify(this._classifier.classes); }
+    }
+    var r = this.options.radius;
+    var view = map.getPixelBounds();
+    var shown = {};
+    for (var i = 0; i < this._bins.length; i++) {
+      var bin = this._bins[i];
+      if (bin.x < view.min.x - 2 * r || bin.x > view.max.x + 2 * r ||
+          bin.y < view.min.y - 2 * r || bin.y > view.max.y + 2 * r) { continue; }
+      shown[bin.key] = true;
+      var color = this._classifier.colorFor(this._aggregateOf(bin));
+      var popupHtml = this._popupHtml(bin);
+      var hexagon = this._hexagons[bin.key];
+      if (hexagon) {
+        if (hexagon.options.fillColor !== color) { hexagon.setStyle({ fillColor: color }); }
+        if (hexagon.getPopup().getContent() !== popupHtml) { hexagon.setPopupContent(popupHtml); }
+        continue;
+      }
+      var corners = [];
+      for (var k = 0; k < 6; k++) {
+        var angle = k * Math.PI / 3;
+        corners.push(map.unproject(L.point(bin.x + r * Math.sin(angle), bin.y - r * Math.cos(angle)), zoom));
+      }
+      hexagon = L.polygon(corners, L.extend({ renderer: this._renderer, fillColor: color }, this.options.style));
+      hexagon.bindPopup(popupHtml);
+      this._hexagons[bin.key] = hexagon;
+      this.addLayer(hexagon);
+    }
+    // Drop the hexagons that left the view or lost their points
+    for (var key in this._hexagons) {
+      if (!shown[key]) {
+        this.removeLayer(this._hexagons[key]);
+        delete this._hexagons[key];
+      }
+    }
+  },
+});
+
+// Legend control: a list of sections, each with a title and swatch/label entries.
+// sections: [{ title, entries: [{ label, kind, style }] }]
+// Not hidden by the print stylesheet, so it is included when printing the map.
+L.Control.Legend = L.Control.extend({
+  options: {
+    position: 'bottomright',
+  },
+
+  onAdd: function () {
+    var container = L.DomUtil.create('div', 'leaflet-control-legend');
+    L.DomEvent.disableClickPropagation(container);
+    L.DomEvent.disableScrollPropagation(container);
+    this._container = container;
+    this.update(this._sections || []);
+    return container;
+  },
+
+  update: function (sections) {
+    this._sections = sections;
+    var container = this._container;
+    if (!container) { return this; }
+    container.innerHTML = '';
+    for (var i = 0; i < sections.length; i++) {
+      var section = sections[i];
+      if (section.title) {
+        var title = L.DomUtil.create('div', 'leaflet-control-legend-title', container);
+        title.textContent = section.title;
+      }
+      for (var j = 0; j < section.entries.length; j++) {
+        var entry = section.entries[j];
+        var row = L.DomUtil.create('div', 'leaflet-control-legend-row', container);
+        row.appendChild(buildLegendSwatch(entry.kind, entry.style || {}));
+        var span = document.createElement('span');
+        span.textContent = String(entry.label);
+        row.appendChild(span);
+      }
+    }
+    return this;
+  },
+});
+
+// Photo gallery: a "Photos" button opening a panel of thumbnails along the map's left side.
+// onOpen() is called when the panel opens; the map code fills it with update().
+L.Control.Gallery = L.Control.extend({
+  options: {
+    position: 'topleft',
+  },
+
+  initialize: function (onOpen, options) {
+    L.setOptions(this, options);
+    this._onOpen = onOpen;
+  },
+
+  onAdd: function (map) {
+    var container = L.DomUtil.create('div', 'leaflet-bar leaflet-control-gallery');
+    L.DomEvent.disableClickPropagation(container);
+    var self = this;
+    this._link = L.DomUtil.create('a', '', container);
+    this._link.href = '#';
+    this._link.textContent = 'Photos';
+    this._link.title = 'Show the photos of the features on the map';
+    L.DomEvent.on(this._link, 'click', function (e) {
+      L.DomEvent.stop(e);
+      self.toggle();
+    });
+    this._panel = L.DomUtil.create('div', 'leaflet-control-gallery-panel', map.getContainer());
+    this._panel.style.display = 'none';
+    L.DomEvent.disableClickPropagation(this._panel);
+    L.DomEvent.disableScrollPropagation(this._panel);
+    this._key = null;
+    return container;
+  },
+
+  onRemove: function () {
+    L.DomUtil.remove(this._panel);
+  },
+
+  isOpen: function () {
+    return this._panel.style.display !== 'none';
+  },
+
+  toggle: function () {
+    var open = !this.isOpen();
+    this._panel.style.display = open ? '' : 'none';
+    L.DomUtil[open ? 'addClass' : 'removeClass'](this._link, 'active');
+    if (open) { this._onOpen(); }
+    return this;
+  },
+
+  // images: [{id, name, rowName}]; onClick(index) when a thumbnail is clicked.
+  update: function (images, onClick) {
+    var key = JSON.stringify(images);
+    if (key === this._key) { return this; }
+    this._key = key;
+    var panel = this._panel;
+    panel.innerHTML = '';
+    if (images.length === 0) {
+      L.DomUtil.create('div', 'leaflet-control-gallery-empty', panel).textContent = 'No photos';
+      return this;
+    }
+    images.forEach(function (image, i) {
+      var img = L.DomUtil.create('img', 'attachment-thumb', panel);
+      img.loading = 'lazy';
+      img.alt = img.title = (image.rowName ? image.rowName + ' — ' : '') + image.name;
+      img.dataset.attachmentId = image.id;
+      L.DomEvent.on(img, 'click', function () { onClick(i); });
+    });
+    loadAttachments(panel);
+    return this;
+  },
+});
+
+// Time slider: play / pause button, a range input over the steps, the date of the chosen step
+// and a "Cumulative" checkbox. The map code keeps the state and calls update().
+L.Control.TimeSlider = L.Control.extend({
+  options: {
+    position: 'bottomright',
+  },
+
+  // onChange(index) when the slider moves, onPlay() for play / pause,
+  // onCumulative(checked) when the checkbox changes.
+  initialize: function (onChange, onPlay, onCumulative, options) {
+    L.setOptions(this, options);
+    this._onChange = onChange;
+    this._onPlay = onPlay;
+    this._onCumulative = onCumulative;
+  },
+
+  onAdd: function () {
+    var container = L.DomUtil.create('div', 'leaflet-control-time-slider');
+    L.DomEvent.disableClickPropagation(container);
+    L.DomEvent.disableScrollPropagation(container);
+    var self = this;
+    this._play = L.DomUtil.create('button', 'leaflet-control-time-slider-play', container);
+    this._play.type = 'button';
+    L.DomEvent.on(this._play, 'click', function () { self._onPlay(); });
+    this._range = L.DomUtil.create('input', '', container);
+    this._range.type = 'range';
+    this._range.min = 0;
+    this._range.step = 1;
+    L.DomEvent.on(this._range, 'input', function () { self._onChange(Number(self._range.value)); });
+    this._label = L.DomUtil.create('span', 'leaflet-control-time-slider-date', container);
+    var cumulative = L.DomUtil.create('label', 'leaflet-control-time-slider-cumulative', container);
+    this._cumulative = L.DomUtil.create('input', '', cumulative);
+    this._cumulative.type = 'checkbox';
+    cumulative.appendChild(document.createTextNode(' Cumulative'));
+    cumulative.title = 'Also show the rows that ended before this date';
+    L.DomEvent.on(this._cumulative, 'change', function () { self._onCumulative(self._cumulative.checked); });
+    return container;
+  },
+
+  update: function (count, index, label, playing, cumulative) {
+    if (!this._range) { return this; }
+    this._range.max = count - 1;
+    this._range.value = index;
+    this._range.disabled = count < 2;
+    this._label.textContent = label;
+    this._play.textContent = playing ? '\u275A\u275A' : '\u25B6';
+    this._play.title = playing ? 'Pause' : 'Play';
+    this._play.disabled = count < 2;
+    this._cumulative.checked = cumulative;
+    return this;
+  },
+});
+
+// Fetch all column labels at once, returns {colId: label} map
+async function getAllColumnLabels() {
+  try {
+    var colData = await grist.docApi.fetchTable('_grist_Tables_column');
+    var map = {};
+    for (var i = 0; i < colData.id.length; i++) {
+      map[colData.colId[i]] = colData.label[i] || colData.colId[i];
+    }
+    return map;
+  } catch (e) {
+    console.warn('Could not fetch column labels:', e);
+    return {};
+  }
+}
+
+// Return a copy of `overlays` with keys sorted by `orderedNames` (first = top of list).
+// Keys not in orderedNames appear at the end in their original order.
+function sortedOverlays(overlays, orderedNames) {
+  var result = {};
+  for (var i = 0; i < orderedNames.length; i++) {
+    var name = orderedNames[i];
+    if (name in overlays) { result[name] = overlays[name]; }
+  }
+  for (var key in overlays) {
+    if (!(key in result)) { result[key] = overlays[key]; }
+  }
+  return result;
+}
+
+// Helper: add the appropriate layer control (grouped or flat). Returns the control, or null
+// when there is at most one overlay and one basemap to list.
+// baseLayers: { name: L.TileLayer } of the basemaps, listed as radio buttons when there are several.
+function addLayerControl(map, mainLayerGroups, additionalLayerGroups, isLayerMode, layerGroupName, orderedNames, baseLayers) {
+  var allOverlays = Object.assign({}, mainLayerGroups, additionalLayerGroups);
+  var totalCount = Object.keys(allOverlays).length;
+  var bases = baseLayers && Object.keys(baseLayers).length > 1 ? baseLayers : null;
+  if (totalCount <= 1 && !bases) { return null; }
+
+  var sorted = orderedNames ? sortedOverlays(allOverlays, orderedNames) : allOverlays;
+
+  if (isLayerMode && Object.keys(mainLayerGroups).length > 1) {
+    // Grouped control: main layers in a collapsible group, additional as standalone
+    var sortedMain = orderedNames ? sortedOverlays(mainLayerGroups, orderedNames) : mainLayerGroups;
+    var sortedAdditional = orderedNames ? sortedOverlays(additionalLayerGroups, orderedNames) : additionalLayerGroups;
+    var groups = {};
+    groups[layerGroupName] = sortedMain;
+    return new L.Control.GroupedLayers(bases, groups, sortedAdditional).addTo(map);
+  } else {
+    // Flat control (no Layer column or only one main group)
+    return L.control.layers(bases, totalCount > 1 ? sorted : null).addTo(map);
+  }
+}
+
+// Compute the centroid of a ring (array of L.LatLng).
+function computeRingCentroid(ring) {
+  if (!ring || ring.length === 0) { return null; }
+  var sumLat = 0, sumLng = 0;
+  for (var i = 0; i < ring.length; i++) { sumLat += ring[i].lat; sumLng += ring[i].lng; }
+  return L.latLng(sumLat / ring.length, sumLng / ring.length);
+}
+
+// Return one L.LatLng centroid per polygon part from a Leaflet polygon sublayer.
+// Works for Leaflet's MultiPolygon representation: Leaflet renders MultiPolygon as a single
+// L.Polygon whose getLatLngs() returns a depth-3 array [part0_rings, part1_rings, ...].
+// For a simple Polygon, getLatLngs() returns a depth-2 array [ring0, ring1, ...].
+function getSublayerPartCentroids(sublayer) {
+  if (!sublayer || typeof sublayer.getLatLngs !== 'function') return [];
+  var latlngs = sublayer.getLatLngs();
+  if (!latlngs || latlngs.length === 0) return [];
+  // MultiPolygon: latlngs[0] is one polygon part's ring array → latlngs[0][0] is an Array (a ring)
+  // Polygon:      latlngs[0] is a ring (Array of LatLng) → latlngs[0][0] is a LatLng (not Array)
+  var isMultiPoly = Array.isArray(latlngs[0]) && latlngs[0].length > 0 && Array.isArray(latlngs[0][0]);
+  if (isMultiPoly) {
+    return latlngs.map(function(part) { return computeRingCentroid(part[0]); }).filter(Boolean);
+  } else {
+    var ring = Array.isArray(latlngs[0]) ? latlngs[0] : latlngs;
+    var c = computeRingCentroid(ring);
+    return c ? [c] : [];
+  }
+}
+
+// Build the HTML content for a permanent label tooltip.
+// fontSizeOverride replaces opts.fontSize (used in zoomend for dynamic sizing).
+function buildLabelHtml(text, opts, fontSizeOverride) {
+  var styles = ['display:inline-block', 'text-align:center'];
+  if (opts.bearing != null) styles.push('transform:rotate(' + Number(opts.bearing) + 'deg)');
+  var fs = (fontSizeOverride != null) ? fontSizeOverride : opts.fontSize;
+  if (fs) styles.push('font-size:' + fs + 'px');
+  if (opts.color) styles.push('color:' + opts.color);
+  if (opts.fontWeight) styles.push('font-weight:' + opts.fontWeight);
+  if (opts.lineHeight != null) styles.push('line-height:' + opts.lineHeight);
+  if (opts.opacity != null) styles.push('opacity:' + opts.opacity);
+  // Convert newlines to <br> so multi-line labels render correctly in HTML tooltips.
+  var htmlText = String(text).replace(/\n/g, '<br>');
+  return styles.length > 1
+    ? '<span style="' + styles.join(';') + '">' + htmlText + '</span>'
+    : htmlText;
+}
+
+// Simple JSON.parse with null fallback (used for column widgetOptions).
+function safeParse(v) {
+  try { return JSON.parse(v); } catch (_) { return null; }
+}
+
+// Resolve the visible-column ID for a Ref field in the referenced table.
+// Ported from the calendar widget. Tries three approaches in order.
+function resolveRefDisplayColId(rec, allColumns, refTable) {
+  const widgetOptions = safeParse(rec.widgetOptions);
+  const visRef = widgetOptions?.visibleCol;
+  if (typeof visRef === 'number' && visRef > 0) {
+    const idx = allColumns.id.indexOf(visRef);
+    if (idx !== -1) {
+      const cid = allColumns.colId[idx];
+      if (cid && refTable[cid] !== undefined) { return cid; }
+    }
+  }
+  if (typeof visRef === 'string' && visRef && refTable[visRef] !== undefined) { return visRef; }
+  const dispRef = rec.displayCol;
+  if (typeof dispRef === 'number' && dispRef > 0) {
+    const idx = allColumns.id.indexOf(dispRef);
+    const formula = idx !== -1 ? (allColumns.formula?.[idx] ?? null) : null;
+    if (typeof formula === 'string') {
+      const m = /\$\w+\.(\w+)$/.exec(formula.trim());
+      if (m && refTable[m[1]] !== undefined) { return m[1]; }
+    }
+  }
+  return null;
+}
+
+let drawFieldConfigsCache = null; // { key: string, configs: [...] }
+
+// fetchColumnConfigs, cached for the forms (new shape fields, popup Edit button).
+async function fetchDrawFieldConfigs(colIds) {
+  const key = colIds.join('\0');
+  if (drawFieldConfigsCache?.key === key) { return drawFieldConfigsCache.configs; }
+  const configs = await fetchColumnConfigs(colIds);
+  drawFieldConfigsCache = { key, configs };
+  return configs;
+}
+
+// Fetch column type/metadata for the given colIds in selectedTableId.
+// Returns [{colId, label, type, refOptions, choiceItems, attachmentNames}].
+async function fetchColumnConfigs(colIds) {
+  return fetchColumnValues(await describeColumns(colIds));
+}
+
+// Column type/metadata for the given colIds in selectedTableId, without the data-dependent
+// refOptions and attachmentNames (see fetchColumnValues).
+async function describeColumns(colIds) {
+  if (!selectedTableId) {
+    return colIds.map(colId => ({ colId, label: colId, type: 'Text', refOptions: null, choiceItems: null }));
+  }
+  const [tables, allColumns] = await Promise.all([
+    grist.docApi.fetchTable('_grist_Tables'),
+    grist.docApi.fetchTable('_grist_Tables_column'),
+  ]);
+  const tableRef = tables.id[tables.tableId.indexOf(selectedTableId)];
+  return colIds.map((colId) => {
+    const idx = allColumns.id.findIndex((_, i) =>
+      allColumns.parentId[i] === tableRef && allColumns.colId[i] === colId);
+    if (idx === -1) {
+      return { colId, label: colId, type: 'Text', refOptions: null, choiceItems: null };
+    }
+    const type = allColumns.type[idx] || 'Text';
+    const label = allColumns.label[idx] || colId;
+    const rec = { widgetOptions: allColumns.widgetOptions[idx], displayCol: allColumns.displayCol?.[idx] };
+    const cfg = { colId, label, type, refOptions: null, choiceItems: null, attachmentNames: null };
+    if (type.startsWith('Ref:') || type.startsWith('RefList:')) {
+      cfg.refTableId = type.startsWith('Ref:') ? type.slice(4) : type.slice(8);
+      cfg.refDisplayColId = (refTable) => resolveRefDisplayColId(rec, allColumns, refTable);
+    } else if (type === 'Choice' || type === 'ChoiceList') {
+      cfg.choiceItems = safeParse(rec.widgetOptions)?.choices || [];
+    }
+    return cfg;
+  });
+}
+
+// Copies of column configs (see describeColumns) with the display values of the referenced
+// rows (refOptions) and the file names of attachments. Each table is fetched once.
+async function fetchColumnValues(configs) {
+  const fetched = {};
+  const fetchOnce = (tableId) => {
+    if (!fetched[tableId]) { fetched[tableId] = grist.docApi.fetchTable(tableId); }
+    return fetched[tableId];
+  };
+  return Promise.all(configs.map(async (cfg) => {
+    cfg = Object.assign({}, cfg);
+    if (cfg.refTableId) {
+      try {
+        const refTable = await fetchOnce(cfg.refTableId);
+        if (refTable?.id) {
+          const visColId = cfg.refDisplayColId(refTable);
+          const lblCol = (visColId && refTable[visColId]) || null;
+          cfg.refOptions = refTable.id
+            .map((id, j) => ({ id, label: String(lblCol?.[j] ?? id) }))
+            .filter(o => o.id > 0);
+        }
+      } catch (e) {
+        console.warn('Could not fetch ref table:', cfg.refTableId, e);
+      }
+    } else if (cfg.type === 'Attachments') {
+      try {
+        const attachments = await fetchOnce('_grist_Attachments');
+        cfg.attachmentNames = {};
+        attachments.id.forEach((id, j) => { cfg.attachmentNames[id] = attachments.fileName[j]; });
+      } catch (e) {
+        console.warn('Could not fetch attachments:', e);
+      }
+    }
+    return cfg;
+  }));
+}
+
+// Build a L.divIcon that renders as a styled SVG circle, used for Point features
+// so they are draggable in Leaflet.draw edit mode (L.Marker supports dragging; L.CircleMarker does not).
+function makePointIcon(style, selected) {
+  const r = style.radius || 8;
+  const weight = style.weight != null ? style.weight : 3;
+  const color = selected ? '#16B378' : (style.color || '#3388ff');
+  const fillColor = selected ? '#16B378' : (style.fillColor || color);
+  const fillOpacity = selected ? 0.6 : (style.fillOpacity != null ? style.fillOpacity : 0.3);
+  const opacity = style.opacity != null ? style.opacity : 1;
+  const d = (r + weight) * 2;
+  return L.divIcon({
+    className: '',
+    html: '<svg width="' + d + '" height="' + d + '" xmlns="http://www.w3.org/2000/svg">' +
+      '<circle cx="' + (d / 2) + '" cy="' + (d / 2) + '" r="' + r + '"' +
+      ' stroke="' + color + '" stroke-width="' + weight + '"' +
+      ' fill="' + fillColor + '" fill-opacity="' + fillOpacity + '"' +
+      ' opacity="' + opacity + '"/></svg>',
+    iconSize: [d, d],
+    iconAnchor: [d / 2, d / 2],
+    popupAnchor: [0, -(d / 2)],
+  });
+}
+
+// Marker icon showing an image attachment as a framed thumbnail (photo markers).
+// The image is loaded when the icon is created, see loadAttachments.
+L.DivIcon.Photo = L.DivIcon.extend({
+  createIcon: function (oldIcon) {
+    var div = L.DivIcon.prototype.createIcon.call(this, oldIcon);
+    var img = document.createElement('img');
+    img.alt = '';
+    img.dataset.attachmentId = this.options.attachmentId;
+    div.appendChild(img);
+    loadAttachments(div);
+    return div;
+  },
+});
+
+function makePhotoIcon(attachmentId, selected) {
+  return new L.DivIcon.Photo({
+    attachmentId,
+    className: 'photo-marker' + (selected ? ' selected' : ''),
+    iconSize: [40, 40],
+    iconAnchor: [20, 20],
+    popupAnchor: [0, -20],
+  });
+}
+
+// Items of a list cell (RefList, ChoiceList, Attachments), encoded (['L', ...]) or not.
+function cellList(v) {
+  if (!Array.isArray(v)) { return []; }
+  return v[0] === 'L' ? v.slice(1) : v;
+}
+
+// Grist Date / DateTime cells hold seconds since the epoch (Date: UTC midnight).
+function cellSeconds(v) {
+  if (v instanceof Date) { return v.getTime() / 1000; }
+  return typeof v === 'number' ? v : null;
+}
+
+// "YYYY-MM-DD" for an <input type="date"> from a Date cell.
+function dateInputValue(v) {
+  const seconds = cellSeconds(v);
+  return seconds === null ? '' : new Date(seconds * 1000).toISOString().slice(0, 10);
+}
+
+// "YYYY-MM-DDTHH:MM:SS" (browser local time) for an <input type="datetime-local"> from a DateTime cell.
+function dateTimeInputValue(v) {
+  const seconds = cellSeconds(v);
+  if (seconds === null) { return ''; }
+  const d = new Date(seconds * 1000);
+  const pad = (n) => String(n).padStart(2, '0');
+  return d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate()) +
+    'T' + pad(d.getHours()) + ':' + pad(d.getMinutes()) + ':' + pad(d.getSeconds());
+}
+
+// Upload files as attachments of the document. Returns their attachment row IDs.
+async function uploadAttachments(files) {
+  const { token, baseUrl } = await grist.docApi.getAccessToken({ readOnly: false });
+  const body = new FormData();
+  for (const file of files) { body.append('upload', file, file.name); }
+  const response = await fetch(baseUrl + '/attachments?auth=' + encodeURIComponent(token), { method: 'POST', body });
+  if (!response.ok) { throw new Error('Attachment upload failed (' + response.status + ')'); }
+  // The attachment names known by fetchDrawFieldConfigs are now out of date
+  drawFieldConfigsCache = null;
+  return response.json();
+}
+
+// Show a modal form for the given field configs and return a Promise that resolves to
+// {colId: value, ...} on Save, or null if the user cancelled. With `current` ({colId: cell
+// value}) the form edits an existing row: fields are pre-filled and all of them are
+// returned, cleared ones included. Otherwise fields left blank are not returned.
+// With `save` (async, given the values), the form stays open showing its error if it fails.
+function showDrawModal(fieldConfigs, current, titleText, save) {
+  const editing = !!current;
+  return new Promise((resolve) => {
+    const existing = document.getElementById('draw-modal');
+    if (existing) { existing.remove(); }
+
+    const overlay = document.createElement('div');
+    overlay.id = 'draw-modal';
+    overlay.className = 'draw-modal-overlay';
+
+    const box = document.createElement('div');
+    box.className = 'draw-modal-box';
+
+    const title = document.createElement('div');
+    title.className = 'draw-modal-title';
+    title.textContent = titleText || (editing ? 'Edit' : 'New shape');
+    box.appendChild(title);
+
+    const inputEls = {}; // colId → input/select element
+    const keptAttachments = {}; // colId → [{id, checkbox}] — Attachments already in the cell
+
+    for (const cfg of fieldConfigs) {
+      const row = document.createElement('div');
+      row.className = 'draw-modal-row';
+      const isRef     = cfg.type?.startsWith('Ref:');
+      const isRefList = cfg.type?.startsWith('RefList:');
+      const isBool    = cfg.type === 'Bool';
+      const isChoice     = cfg.type === 'Choice';
+      const isChoiceList = cfg.type === 'ChoiceList';
+      const isInt = cfg.type === 'Int' || cfg.type === 'Integer';
+      const isNum = cfg.type === 'Numeric';
+      const isDate = cfg.type === 'Date';
+      const isDateTime = cfg.type?.startsWith('DateTime');
+      const isAttachments = cfg.type === 'Attachments';
+      const value = editing ? parseValue(current[cfg.colId]) : null;
+
+      if (isBool) {
+        const wrap = document.createElement('label');
+        wrap.className = 'draw-modal-checkbox-row';
+        const cb = document.createElement('input');
+        cb.type = 'checkbox';
+        cb.checked = !!value;
+        const span = document.createElement('span');
+        span.textContent = cfg.label;
+        wrap.appendChild(cb);
+        wrap.appendChild(span);
+        row.appendChild(wrap);
+        inputEls[cfg.colId] = cb;
+      } else {
+        const lbl = document.createElement('label');
+        lbl.textContent = cfg.label;
+        row.appendChild(lbl);
+        let el;
+        if ((isRef || isRefList) && cfg.refOptions) {
+          el = document.createElement('select');
+          el.className = 'draw-modal-input';
           if (isRefList) {
             el.multiple = true;
             el.size = Math.min(cfg.refOptions.length + 1, 5);
@@ -983,10 +3331,12 @@ function showDrawModal(fieldConfigs) {
             empty.textContent = '—';
             el.appendChild(empty);
           }
+          const selectedIds = isRefList ? cellList(value) : [value];
           for (const opt of cfg.refOptions) {
             const o = document.createElement('option');
             o.value = opt.id;
             o.textContent = opt.label;
+            o.selected = selectedIds.includes(opt.id);
             el.appendChild(o);
           }
         } else if ((isChoice || isChoiceList) && cfg.choiceItems?.length) {
@@ -1001,110 +3351,2404 @@ function showDrawModal(fieldConfigs) {
             empty.textContent = '—';
             el.appendChild(empty);
           }
-          for (const c of cfg.choiceItems) {
+          const selectedItems = isChoiceList ? cellList(value) : [value];
+          // Keep values that are no longer among the column's choices
+          const items = cfg.choiceItems.concat(selectedItems.filter(c => c && !cfg.choiceItems.includes(c)));
+          for (const c of items) {
             const o = document.createElement('option');
             o.value = c;
             o.textContent = c;
+            o.selected = selectedItems.includes(c);
             el.appendChild(o);
           }
-        } else if (isInt || isNum) {
-          el = document.createElement('input');
-          el.type = 'number';
-          el.className = 'draw-modal-input';
-          el.placeholder = cfg.label;
-        } else {
-          el = document.createElement('input');
-          el.type = 'text';
-          el.className = 'draw-modal-input';
-          el.placeholder = cfg.label;
-        }
-        row.appendChild(el);
-        inputEls[cfg.colId] = el;
+        } else if (isInt || isNum) {
+          el = document.createElement('input');
+          el.type = 'number';
+          el.className = 'draw-modal-input';
+          el.placeholder = cfg.label;
+          el.value = value ?? '';
+        } else if (isDate || isDateTime) {
+          el = document.createElement('input');
+          el.type = isDate ? 'date' : 'datetime-local';
+          if (isDateTime) { el.step = 1; }
+          el.className = 'draw-modal-input';
+          el.value = isDate ? dateInputValue(value) : dateTimeInputValue(value);
+        } else if (isAttachments) {
+          keptAttachments[cfg.colId] = cellList(value).map((id) => {
+            const wrap = document.createElement('label');
+            wrap.className = 'draw-modal-checkbox-row';
+            const cb = document.createElement('input');
+            cb.type = 'checkbox';
+            cb.checked = true;
+            const span = document.createElement('span');
+            span.textContent = cfg.attachmentNames?.[id] || ('Attachment ' + id);
+            wrap.appendChild(cb);
+            wrap.appendChild(span);
+            row.appendChild(wrap);
+            return { id, checkbox: cb };
+          });
+          el = document.createElement('input');
+          el.type = 'file';
+          el.multiple = true;
+          el.className = 'draw-modal-input';
+        } else {
+          el = document.createElement('input');
+          el.type = 'text';
+          el.className = 'draw-modal-input';
+          el.placeholder = cfg.label;
+          el.value = value == null ? '' : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+        }
+        row.appendChild(el);
+        inputEls[cfg.colId] = el;
+      }
+      box.appendChild(row);
+    }
+
+    const error = document.createElement('div');
+    error.className = 'draw-modal-error';
+    box.appendChild(error);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'draw-modal-buttons';
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.className = 'draw-modal-cancel';
+
+    const saveBtn = document.createElement('button');
+    saveBtn.textContent = 'Save';
+    saveBtn.className = 'draw-modal-save';
+
+    const doSave = async () => {
+      if (saveBtn.disabled) { return; }
+      const values = {};
+      // Value for a field left blank: cleared when editing, not written for a new row
+      const blank = (colId, emptyValue) => { if (editing) { values[colId] = emptyValue; } };
+      saveBtn.disabled = true;
+      try {
+        for (const cfg of fieldConfigs) {
+          const el = inputEls[cfg.colId];
+          if (!el) { continue; }
+          const isRef     = cfg.type?.startsWith('Ref:');
+          const isRefList = cfg.type?.startsWith('RefList:');
+          const isBool    = cfg.type === 'Bool';
+          const isChoiceList = cfg.type === 'ChoiceList';
+          const isInt = cfg.type === 'Int' || cfg.type === 'Integer';
+          const isNum = cfg.type === 'Numeric';
+          const isDate = cfg.type === 'Date';
+          const isDateTime = cfg.type?.startsWith('DateTime');
+          const isAttachments = cfg.type === 'Attachments';
+          if (isBool) {
+            values[cfg.colId] = el.checked;
+          } else if (isRefList) {
+            const ids = [...el.selectedOptions].map(o => Number(o.value)).filter(Boolean);
+            if (ids.length > 0) { values[cfg.colId] = ['L', ...ids]; } else { blank(cfg.colId, null); }
+          } else if (isRef && cfg.refOptions) {
+            if (el.value) { values[cfg.colId] = Number(el.value); } else { blank(cfg.colId, 0); }
+          } else if (isChoiceList) {
+            const vals = [...el.selectedOptions].map(o => o.value);
+            if (vals.length > 0) { values[cfg.colId] = ['L', ...vals]; } else { blank(cfg.colId, null); }
+          } else if (isInt) {
+            if (el.value !== '') { values[cfg.colId] = parseInt(el.value, 10); } else { blank(cfg.colId, null); }
+          } else if (isNum) {
+            if (el.value !== '') { values[cfg.colId] = parseFloat(el.value); } else { blank(cfg.colId, null); }
+          } else if (isDate) {
+            if (el.value) {
+              const [y, m, d] = el.value.split('-').map(Number);
+              values[cfg.colId] = Date.UTC(y, m - 1, d) / 1000;
+            } else {
+              blank(cfg.colId, null);
+            }
+          } else if (isDateTime) {
+            if (el.value) { values[cfg.colId] = new Date(el.value).getTime() / 1000; } else { blank(cfg.colId, null); }
+          } else if (isAttachments) {
+            const ids = (keptAttachments[cfg.colId] || []).filter(a => a.checkbox.checked).map(a => a.id);
+            if (el.files.length > 0) { ids.push(...await uploadAttachments([...el.files])); }
+            if (ids.length > 0) { values[cfg.colId] = ['L', ...ids]; } else { blank(cfg.colId, null); }
+          } else {
+            if (el.value !== '') { values[cfg.colId] = el.value; } else { blank(cfg.colId, ''); }
+          }
+        }
+        if (save) { await save(values); }
+      } catch (err) {
+        console.error('Error saving form:', err);
+        error.textContent = err.message;
+        saveBtn.disabled = false;
+        return;
+      }
+      overlay.remove();
+      resolve(values);
+    };
+    const doCancel = () => { overlay.remove(); resolve(null); };
+
+    cancelBtn.onclick = doCancel;
+    saveBtn.onclick = doSave;
+
+    overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.target.tagName !== 'SELECT') { doSave(); }
+      if (e.key === 'Escape') { doCancel(); }
+    });
+
+    buttons.appendChild(cancelBtn);
+    buttons.appendChild(saveBtn);
+    box.appendChild(buttons);
+    overlay.appendChild(box);
+    document.body.appendChild(overlay);
+
+    setTimeout(() => {
+      const first = box.querySelector('input:not([type=checkbox]), select');
+      if (first) { first.focus(); }
+    }, 0);
+  });
+}
+
+// Show a message in the modal overlay. Returns a Promise that resolves to true when the
+// user clicks OK (or `confirmLabel`), false on Cancel — only offered with `confirmLabel`.
+function showMessageModal(text, confirmLabel) {
+  return new Promise((resolve) => {
+    const existing = document.getElementById('draw-modal');
+    if (existing) { existing.remove(); }
+
+    const overlay = document.createElement('div');
+    overlay.id = 'draw-modal';
+    overlay.className = 'draw-modal-overlay';
+
+    const box = document.createElement('div');
+    box.className = 'draw-modal-box';
+
+    const message = document.createElement('div');
+    message.className = 'draw-modal-message';
+    message.textContent = text;
+    box.appendChild(message);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'draw-modal-buttons';
+
+    const okBtn = document.createElement('button');
+    okBtn.textContent = confirmLabel || 'OK';
+    okBtn.className = 'draw-modal-save';
+
+    const close = (answer) => { overlay.remove(); resolve(answer); };
+    okBtn.onclick = () => close(true);
+    overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') { close(!confirmLabel); }
+    });
+
+    if (confirmLabel) {
+      const cancelBtn = document.createElement('button');
+      cancelBtn.textContent = 'Cancel';
+      cancelBtn.className = 'draw-modal-cancel';
+      cancelBtn.onclick = () => close(false);
+      buttons.appendChild(cancelBtn);
+    }
+    buttons.appendChild(okBtn);
+    box.appendChild(buttons);
+    overlay.appendChild(box);
+    document.body.appendChild(overlay);
+
+    setTimeout(() => okBtn.focus(), 0);
+  });
+}
+
+// Parse a dropped or picked file into a GeoJSON FeatureCollection (WGS84).
+// Supports GeoJSON (.geojson/.json), KML, GPX and zipped Shapefiles (.zip).
+async function parseImportFile(file) {
+  const fileName = file.name.toLowerCase();
+  let collection;
+  if (fileName.endsWith('.zip')) {
+    if (!window.shp) { throw new Error('Shapefile support is not loaded'); }
+    const result = await shp(await file.arrayBuffer());
+    // A zip holding several shapefiles yields one FeatureCollection per layer
+    const collections = Array.isArray(result) ? result : [result];
+    collection = { type: 'FeatureCollection', features: collections.flatMap(c => c.features || []) };
+  } else if (fileName.endsWith('.kml') || fileName.endsWith('.gpx')) {
+    if (!window.toGeoJSON) { throw new Error('KML/GPX support is not loaded'); }
+    const doc = new DOMParser().parseFromString(await file.text(), 'text/xml');
+    collection = fileName.endsWith('.kml') ? toGeoJSON.kml(doc) : toGeoJSON.gpx(doc);
+  } else {
+    const parsed = parseGristJson(await file.text());
+    if (!parsed) { throw new Error('Not a valid GeoJSON file'); }
+    collection = { type: 'FeatureCollection', features: toGeoJSONFeatures(parsed, {}) };
+  }
+  collection.features = collection.features.filter(f => f && f.geometry);
+  return collection;
+}
+
+// Column IDs of selectedTableId that can be written to (no formula or helper columns).
+async function fetchWritableColumnIds() {
+  if (!selectedTableId) { return []; }
+  const [tables, allColumns] = await Promise.all([
+    grist.docApi.fetchTable('_grist_Tables'),
+    grist.docApi.fetchTable('_grist_Tables_column'),
+  ]);
+  const tableRef = tables.id[tables.tableId.indexOf(selectedTableId)];
+  const colIds = [];
+  for (let i = 0; i < allColumns.id.length; i++) {
+    if (allColumns.parentId[i] !== tableRef) { continue; }
+    const colId = allColumns.colId[i];
+    if (colId === 'manualSort' || colId.startsWith('gristHelper_')) { continue; }
+    if (allColumns.isFormula?.[i] && allColumns.formula?.[i]) { continue; }
+    colIds.push(colId);
+  }
+  return colIds;
+}
+
+// Convert an imported property value for a column of the given Grist type.
+function convertImportValue(value, type) {
+  if (value === null || value === undefined || value === '') { return null; }
+  if (type === 'Int' || type === 'Integer') {
+    const n = parseInt(value, 10);
+    return isNaN(n) ? String(value) : n;
+  }
+  if (type === 'Numeric') {
+    const n = parseFloat(value);
+    return isNaN(n) ? String(value) : n;
+  }
+  if (type === 'Bool') {
+    return value === true || /^(true|yes|1)$/i.test(String(value));
+  }
+  if (typeof value === 'object') { return JSON.stringify(value); }
+  return value;
+}
+
+// Show a modal to map imported feature properties to table columns. Returns a Promise
+// that resolves to {property: colId, ...} on Import, or null if the user cancelled.
+function showImportModal(featureCount, propertyNames, columnConfigs) {
+  return new Promise((resolve) => {
+    const existing = document.getElementById('draw-modal');
+    if (existing) { existing.remove(); }
+
+    const overlay = document.createElement('div');
+    overlay.id = 'draw-modal';
+    overlay.className = 'draw-modal-overlay';
+
+    const box = document.createElement('div');
+    box.className = 'draw-modal-box';
+
+    const title = document.createElement('div');
+    title.className = 'draw-modal-title';
+    title.textContent = 'Import ' + featureCount + ' feature' + (featureCount === 1 ? '' : 's');
+    box.appendChild(title);
+
+    const selects = {}; // property → select element
+    for (const prop of propertyNames) {
+      const row = document.createElement('div');
+      row.className = 'draw-modal-row';
+      const lbl = document.createElement('label');
+      lbl.textContent = prop;
+      row.appendChild(lbl);
+      const el = document.createElement('select');
+      el.className = 'draw-modal-input';
+      const skip = document.createElement('option');
+      skip.value = '';
+      skip.textContent = '— don\'t import —';
+      el.appendChild(skip);
+      for (const cfg of columnConfigs) {
+        const o = document.createElement('option');
+        o.value = cfg.colId;
+        o.textContent = cfg.label;
+        el.appendChild(o);
+      }
+      // Preselect a column whose ID or label matches the property name
+      const match = columnConfigs.find(cfg =>
+        cfg.colId.toLowerCase() === prop.toLowerCase() || cfg.label.toLowerCase() === prop.toLowerCase());
+      if (match) { el.value = match.colId; }
+      row.appendChild(el);
+      selects[prop] = el;
+      box.appendChild(row);
+    }
+
+    const buttons = document.createElement('div');
+    buttons.className = 'draw-modal-buttons';
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.className = 'draw-modal-cancel';
+
+    const saveBtn = document.createElement('button');
+    saveBtn.textContent = 'Import';
+    saveBtn.className = 'draw-modal-save';
+
+    const doSave = () => {
+      const propertyToColumn = {};
+      for (const prop in selects) {
+        if (selects[prop].value) { propertyToColumn[prop] = selects[prop].value; }
+      }
+      overlay.remove();
+      resolve(propertyToColumn);
+    };
+    const doCancel = () => { overlay.remove(); resolve(null); };
+
+    cancelBtn.onclick = doCancel;
+    saveBtn.onclick = doSave;
+
+    overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') { doCancel(); }
+    });
+
+    buttons.appendChild(cancelBtn);
+    buttons.appendChild(saveBtn);
+    box.appendChild(buttons);
+    overlay.appendChild(box);
+    document.body.appendChild(overlay);
+
+    setTimeout(() => saveBtn.focus(), 0);
+  });
+}
+
+// Number of AddRecord actions sent per applyUserActions call when importing.
+const IMPORT_BATCH_SIZE = 500;
+
+// Import a file into the mapped table: parse it, preview the features on the map, ask how
+// properties map to columns, then add one record per feature (reprojected to the table's
+// coordinate system). In coordinate mode only Point features can be imported (into the
+// Longitude/Latitude columns).
+async function importFile(file) {
+  const mappings = currentMappings;
+  const isGeoJSONMode = mappings && mappings[GeoJSON];
+  const isCoordinateMode = mappings && mappings[Longitude] && mappings[Latitude];
+  if (!amap || !writeAccess || !selectedTableId || (!isGeoJSONMode && !isCoordinateMode)) { return; }
+
+  let collection;
+  try {
+    collection = await parseImportFile(file);
+  } catch (err) {
+    console.error('Error reading import file:', err);
+    showMessageModal('Could not read ' + file.name + ': ' + err.message);
+    return;
+  }
+  let features = collection.features;
+  if (!isGeoJSONMode) {
+    features = features.filter(f => f.geometry.type === 'Point');
+  }
+  if (features.length === 0) {
+    showMessageModal('No importable features found in ' + file.name);
+    return;
+  }
+
+  const preview = L.geoJSON({ type: 'FeatureCollection', features }, {
+    style: { color: '#ff7800', weight: 2, dashArray: '4, 4', fillOpacity: 0.1 },
+    pointToLayer: (feature, latlng) => L.circleMarker(latlng, { radius: 6 }),
+    interactive: false,
+  }).addTo(amap);
+  try {
+    amap.fitBounds(preview.getBounds(), { maxZoom: fitMaxZoom() });
+  } catch (err) {
+    console.warn('cannot fit bounds');
+  }
+
+  try {
+    const propertyNames = [...new Set(features.flatMap(f => Object.keys(f.properties || {})))];
+    const geometryCols = [mappings[GeoJSON], mappings[Longitude], mappings[Latitude]].filter(Boolean);
+    const colIds = (await fetchWritableColumnIds()).filter(colId => !geometryCols.includes(colId));
+    const columnConfigs = await fetchDrawFieldConfigs(colIds);
+    const propertyToColumn = await showImportModal(features.length, propertyNames, columnConfigs);
+    if (propertyToColumn === null) { return; } // user cancelled
+    const typeByCol = {};
+    for (const cfg of columnConfigs) { typeByCol[cfg.colId] = cfg.type; }
+
+    // New geometries are written in the format the column already uses (GeoJSON or WKT)
+    const geometrySample = isGeoJSONMode ? sampleColumnValue(mappings[GeoJSON]) : null;
+    const actions = features.map((f) => {
+      const fields = {};
+      if (isGeoJSONMode) {
+        fields[mappings[GeoJSON]] = formatGeometryValue(f.geometry, geometrySample);
+      } else {
+        const [x, y] = geoJSONFromWGS84(f.geometry, tableCrs).coordinates;
+        fields[mappings[Longitude]] = x;
+        fields[mappings[Latitude]] = y;
+      }
+      for (const prop in propertyToColumn) {
+        const value = convertImportValue(f.properties?.[prop], typeByCol[propertyToColumn[prop]]);
+        if (value !== null) { fields[propertyToColumn[prop]] = value; }
+      }
+      return ['AddRecord', selectedTableId, null, fields];
+    });
+    for (let i = 0; i < actions.length; i += IMPORT_BATCH_SIZE) {
+      await grist.docApi.applyUserActions(actions.slice(i, i + IMPORT_BATCH_SIZE));
+    }
+  } catch (err) {
+    console.error('Error importing features:', err);
+    showMessageModal('Import failed: ' + err.message);
+  } finally {
+    if (amap) { amap.removeLayer(preview); }
+  }
+}
+
+let markers = null; // L.markerClusterGroup — coordinate mode only
+let heatLayer = null; // L.heatLayer shown instead of the markers when pointDisplay is 'heatmap'
+let hexbinLayer = null; // L.HexbinLayer shown instead of the markers when pointDisplay is 'hexbin'
+let hexbinLayerKey = null;
+let pointDisplayLegend = []; // [{label, color}] — hexagon classes shown in the legend
+let pointDisplayLegendTitle = '';
+let geoJSONLayers = {};
+let geoJSONStyles = {};
+let markerStyles = {}; // rowId → style of coordinate markers drawn as coloured circles (thematic style)
+let markerPhotos = {}; // rowId → attachment ID of the image shown as its marker (photo markers)
+let labelTooltipRefs = []; // [{sublayer, opts}] — for zoom-dependent label updates
+let savedLayerVisibility = {}; // layerName → boolean; persists layer toggle state across data updates
+let savedMapView = null; // { center, zoom } — persisted across updateMap calls via moveend event
+let updateMapSeq = 0; // incremented on each updateMap call; async callbacks check this to self-cancel if stale
+let additionalLayersSeq = 0; // updateMapSeq of the last updateMap call that fetched additional layers
+let columnLabelsCache = null; // column labels of the last updateMap call, reused by time slider steps
+
+// Incremental rendering state. The Leaflet map, its tile layer, layer groups and controls
+// are created once and kept alive; each updateMap call diffs the incoming records against
+// renderedFeatures and only adds, replaces or removes what actually changed.
+let tileLayer = null; // the basemap shown (one of basemapLayers)
+let tileLayersKey = null;
+let basemapLayers = {}; // { name: L.TileLayer } of the basemaps, in settings order
+let tileOverlays = {}; // { name: L.TileLayer } of the WMS/WMTS/XYZ overlays, by ascending order
+let editableGroup = null; // L.featureGroup of all editable GeoJSON sublayers (draw toolbar)
+let mainLayerGroups = {}; // { layerName: L.featureGroup } — from main table's Layer column
+let additionalLayerGroups = {}; // { layerName: { key, group, points, legend, features } }
+let additionalLayerNames = []; // additional layer names in drawing order (lower `order` first)
+let layerToGroupName = new Map(); // reverse lookup used by the layer visibility tracker
+let renderedFeatures = {}; // rowId → { key, popupHtml, tooltipHtml, layer, container, groupName, geojson, kind, points }
+let renderedKey = null; // mode/mapping signature; a change re-renders every feature
+let highlightedRowId = null; // row currently drawn with the selected look
+let layerControl = null;
+let layerControlKey = null;
+let drawControl = null;
+let drawControlKey = null;
+let currentMappings = null; // mappings used by the last updateMap call (read by map event handlers)
+let legendControl = null;
+let exportControl = null;
+let selectionControl = null;
+let pointEditControl = null; // coordinate-mode Move/Add control (draw toolbar setting)
+let markersDraggable = false; // coordinate markers can be dragged (Move toggled on)
+let spatialSelection = null; // Set of String(rowId) pushed to linked widgets, or null (no selection)
+let selectionOverlay = null; // L.geoJSON outlining the features in spatialSelection
+let importControl = null;
+let searchControl = null; // leaflet-control-geocoder address search box
+let measureControl = null;
+let geometryToolsControl = null; // Split / Merge / Hole / Buffer control
+let geometryToolDraw = null; // { handler, onDrawn } while drawing the line or hole of a geometry tool
+let lastBufferDistance = null; // distance last entered for a buffer, offered again
+let snapIndicator = null; // L.circleMarker showing where the vertex being drawn or dragged snaps to
+let timeSliderControl = null;
+let galleryControl = null;
+let timeSliderPeriods = []; // start (seconds) of each step of the time slider, ascending
+let timeSliderDate = null; // start of the step chosen on the time slider (null = the latest)
+let timeSliderTimer = null; // animation interval while playing
+let timeRowsPublished = false; // linked widgets are filtered to the rows shown at timeSliderDate
+let timeSliderRedraw = null; // timer of the map update following a time slider change
+let timeRangesById = {}; // rowId → rowTimeRange of every row, computed by syncTimeSlider
+let timeColumnZones = {}; // colId → time zone of the mapped date columns (see syncTimeColumnZones)
+let timeColumnZonesKey = null;
+
+// Collect a layer and all of its nested sublayers into a Set.
+function collectLayers(layer, out) {
+  out = out || new Set();
+  out.add(layer);
+  if (layer.eachLayer) {
+    layer.eachLayer(function (l) { collectLayers(l, out); });
+  }
+  return out;
+}
+
+// Drop the labelTooltipRefs entries that belong to a layer about to be removed.
+function forgetLabels(layer) {
+  if (labelTooltipRefs.length === 0) { return; }
+  const owned = collectLayers(layer);
+  labelTooltipRefs = labelTooltipRefs.filter(ref => !owned.has(ref.sublayer));
+}
+
+// Bind (or refresh in place) the click popup and hover tooltip of a rendered sublayer.
+// Refreshing keeps an open popup open, so editing a cell doesn't close it.
+function bindFeatureContent(layer, popupHtml, tooltipHtml) {
+  layer.bindPopup(popupHtml);
+  layer._gristTooltipHtml = tooltipHtml;
+  if (layer._gristHoverTip) {
+    if (tooltipHtml) { layer._gristHoverTip.setContent(tooltipHtml); }
+    else { layer._gristHoverTip.remove(); }
+    return;
+  }
+  if (!tooltipHtml) { return; }
+  // Use a free-floating tooltip instead of bindTooltip to avoid
+  // conflicting with permanent label tooltips bound to the same layer.
+  const hoverTip = L.tooltip({ opacity: 0.9, className: 'hover-tooltip' });
+  layer._gristHoverTip = hoverTip;
+  layer.on('mouseover', function (e) {
+    if (!layer._gristTooltipHtml || !amap) { return; }
+    hoverTip.setContent(layer._gristTooltipHtml).setLatLng(e.latlng).addTo(amap);
+    loadAttachments(hoverTip.getElement());
+  });
+  layer.on('mousemove', function (e) { hoverTip.setLatLng(e.latlng); });
+  layer.on('mouseout',  function ()  { hoverTip.remove(); });
+}
+
+// Apply the selected (or normal) look to the marker or GeoJSON layer rendered for a row.
+function setRowHighlight(id, selected) {
+  const item = popups[id];
+  if (!item) { return; }
+  if (item.setIcon) {
+    // It's a marker
+    item.setIcon(rowMarkerIcon(id, selected));
+    item.pane = selected ? 'selectedMarker' : 'otherMarkers';
+  } else {
+    // It's a GeoJSON layer
+    const style = geoJSONStyles[id] || {};
+    item.setStyle(Object.assign({
+      opacity: selected ? 0.6 : 0.3,
+      fillOpacity: selected ? 0.6 : 0.3,
+    }, style));
+    item.eachLayer(function (l) {
+      if (!l.setIcon) { return; }
+      l.setIcon(markerPhotos[id] ? makePhotoIcon(markerPhotos[id], selected) : makePointIcon(style, selected));
+    });
+  }
+}
+
+// Remove a single rendered row (marker or GeoJSON feature) from the map.
+function removeRenderedFeature(id) {
+  const entry = renderedFeatures[id];
+  if (!entry) { return; }
+  if (entry.container) {
+    forgetLabels(entry.container);
+    entry.layer.eachLayer(function (l) {
+      if (l._gristHoverTip) { l._gristHoverTip.remove(); }
+      if (editableGroup) { editableGroup.removeLayer(l); }
+    });
+    const group = mainLayerGroups[entry.groupName];
+    if (group) { group.removeLayer(entry.container); }
+  } else if (markers && entry.layer) {
+    markers.removeLayer(entry.layer);
+  }
+  delete renderedFeatures[id];
+  delete popups[id];
+  delete geoJSONLayers[id];
+  delete geoJSONStyles[id];
+  delete markerStyles[id];
+  delete markerPhotos[id];
+  if (highlightedRowId == id) { highlightedRowId = null; }
+}
+
+// Remove everything rendered for the main table, including its layer groups.
+function clearMainFeatures() {
+  for (const groupName in mainLayerGroups) {
+    removeNamedLayerGroup(mainLayerGroups[groupName]);
+  }
+  if (markers && amap) { amap.removeLayer(markers); }
+  markers = null;
+  if (heatLayer && amap) { amap.removeLayer(heatLayer); }
+  heatLayer = null;
+  if (hexbinLayer && amap) { amap.removeLayer(hexbinLayer); }
+  hexbinLayer = hexbinLayerKey = null;
+  pointDisplayLegend = [];
+  mainLayerGroups = {};
+  editableGroup = null;
+  renderedFeatures = {};
+  popups = {};
+  geoJSONLayers = {};
+  geoJSONStyles = {};
+  markerStyles = {};
+  markerPhotos = {};
+  highlightedRowId = null;
+}
+
+// Tear down the Leaflet map and forget everything rendered on it.
+function destroyMap() {
+  if (!amap) { return; }
+  try {
+    amap.off();
+    amap.remove();
+  } catch (e) {
+    // ignore
+    console.warn(e);
+  }
+  amap = null;
+  additionalLayerGroups = {};
+  additionalLayerNames = [];
+  layerToGroupName = new Map();
+  labelTooltipRefs = [];
+  tileLayer = tileLayersKey = null;
+  basemapLayers = {};
+  tileOverlays = {};
+  layerControl = layerControlKey = null;
+  drawControl = drawControlKey = null;
+  legendControl = null;
+  exportControl = null;
+  selectionControl = null;
+  selectionOverlay = null;
+  pointEditControl = null;
+  markersDraggable = false;
+  importControl = null;
+  searchControl = null;
+  measureControl = null;
+  geometryToolsControl = null;
+  geometryToolDraw = null;
+  snapIndicator = null;
+  timeSliderControl = null;
+  galleryControl = null;
+  stopTimeSlider();
+  renderedKey = null;
+  clearMainFeatures();
+}
+
+// All named layer groups (main + additional + tile overlays) — used by applyLayerOrder
+function getAllLayerGroups() {
+  const all = Object.assign({}, mainLayerGroups);
+  for (const name of additionalLayerNames) {
+    if (additionalLayerGroups[name]) { all[name] = additionalLayerGroups[name].group; }
+  }
+  return Object.assign(all, tileOverlays);
+}
+
+// Apply draw order based on savedLayerVisibility key order.
+// First key = topmost, last key = bottommost of listed layers.
+// Layers not listed appear below all listed layers.
+function applyLayerOrder() {
+  if (!amap) { return; }
+  const allLayerGroups = getAllLayerGroups();
+  const orderedNames = Object.keys(savedLayerVisibility);
+  for (const name in allLayerGroups) {
+    if (!orderedNames.includes(name) && amap.hasLayer(allLayerGroups[name])) {
+      allLayerGroups[name].bringToFront();
+    }
+  }
+  for (let i = orderedNames.length - 1; i >= 0; i--) {
+    const name = orderedNames[i];
+    if (allLayerGroups[name] && amap.hasLayer(allLayerGroups[name])) {
+      allLayerGroups[name].bringToFront();
+    }
+  }
+}
+
+// Add a named layer group to the map, restoring its saved visibility.
+function addNamedLayerGroup(name, group) {
+  amap.addLayer(group);
+  if (savedLayerVisibility[name] === false) {
+    amap.removeLayer(group);
+  }
+  // Register AFTER add/remove so the layeradd listener doesn't overwrite savedLayerVisibility
+  layerToGroupName.set(group, name);
+}
+
+// Remove a named layer group from the map without recording it as a user toggle.
+function removeNamedLayerGroup(group) {
+  layerToGroupName.delete(group);
+  forgetLabels(group);
+  if (amap) { amap.removeLayer(group); }
+}
+
+const wmtsCapabilities = {}; // capabilities URL → Promise of its parsed XML document
+
+// URL template and tile matrix identifiers (by zoom level) of a layer of a WMTS service,
+// read from its capabilities document (config.url). Only Web Mercator tile matrix sets
+// line up with the map.
+async function wmtsTileSource(config) {
+  if (!wmtsCapabilities[config.url]) {
+    wmtsCapabilities[config.url] = fetch(config.url)
+      .then((response) => {
+        if (!response.ok) { throw new Error(response.status + ' ' + response.statusText); }
+        return response.text();
+      })
+      .then(text => new DOMParser().parseFromString(text, 'application/xml'))
+      .catch((err) => {
+        // Read again when the layer is next created, once the service may have recovered
+        delete wmtsCapabilities[config.url];
+        throw err;
+      });
+  }
+  const doc = await wmtsCapabilities[config.url];
+  const children = (el, name) => (el ? [...el.children].filter(c => c.localName === name) : []);
+  const child = (el, name) => children(el, name)[0];
+  const text = (el) => (el ? el.textContent.trim() : '');
+  const identifier = (el) => text(child(el, 'Identifier'));
+  const contents = doc.getElementsByTagNameNS('*', 'Contents')[0];
+  const layer = children(contents, 'Layer').find(el => identifier(el) === config.layer);
+  if (!layer) { throw new Error('no layer "' + config.layer + '" in the capabilities'); }
+
+  const linkedSets = children(layer, 'TileMatrixSetLink').map(link => text(child(link, 'TileMatrixSet')));
+  const isWebMercator = (set) => /\b(3857|900913)$|GoogleMapsCompatible/i.test(text(child(set, 'SupportedCRS')) + ' ' + identifier(set));
+  const matrixSet = children(contents, 'TileMatrixSet').find(set => (config.tileMatrixSet
+    ? identifier(set) === config.tileMatrixSet
+    : linkedSets.includes(identifier(set)) && isWebMercator(set)));
+  if (!matrixSet) { throw new Error('no Web Mercator tile matrix set for layer "' + config.layer + '"'); }
+  // Zoom level of each tile matrix, from its scale (0.28 mm pixels, 256 px world at zoom 0)
+  const matrixIds = [];
+  for (const matrix of children(matrixSet, 'TileMatrix')) {
+    const zoom = Math.round(Math.log2(559082264.0287178 / Number(text(child(matrix, 'ScaleDenominator')))));
+    if (zoom >= 0) { matrixIds[zoom] = identifier(matrix); }
+  }
+
+  const styles = children(layer, 'Style');
+  const style = config.style || identifier(styles.find(el => el.getAttribute('isDefault') === 'true') || styles[0]) || 'default';
+  const format = config.format || text(child(layer, 'Format')) || 'image/png';
+  const values = { TileMatrixSet: identifier(matrixSet), Style: style };
+  for (const dimension of children(layer, 'Dimension')) {
+    values[identifier(dimension)] = text(child(dimension, 'Default'));
+  }
+  const resource = children(layer, 'ResourceURL')
+    .filter(el => el.getAttribute('resourceType') === 'tile')
+    .sort((a, b) => (b.getAttribute('format') === format) - (a.getAttribute('format') === format))[0];
+  if (resource) {
+    const url = resource.getAttribute('template')
+      .replace(/\{TileMatrix\}/gi, '{z}').replace(/\{TileRow\}/gi, '{y}').replace(/\{TileCol\}/gi, '{x}')
+      .replace(/\{(\w+)\}/g, (match, name) => (name in values ? encodeURIComponent(values[name]) : match));
+    return { url, matrixIds };
+  }
+  // No REST template: key-value-pair GetTile requests
+  const getTile = [...doc.getElementsByTagNameNS('*', 'Operation')].find(el => el.getAttribute('name') === 'GetTile');
+  const href = getTile?.getElementsByTagNameNS('*', 'Get')[0]?.getAttributeNS('http://www.w3.org/1999/xlink', 'href')
+    || config.url.split('?')[0];
+  const params = { SERVICE: 'WMTS', REQUEST: 'GetTile', VERSION: '1.0.0', LAYER: config.layer, STYLE: style,
+    TILEMATRIXSET: values.TileMatrixSet, FORMAT: format };
+  const query = Object.keys(params).map(k => k + '=' + encodeURIComponent(params[k])).join('&');
+  const base = href.replace(/[?&]+$/, '');
+  return { url: base + (base.includes('?') ? '&' : '?') + query + '&TILEMATRIX={z}&TILEROW={y}&TILECOL={x}', matrixIds };
+}
+
+// Zoom level (0 to 24) of the tile zoom settings, from an input or saved option value.
+// 0 is a valid level: only a blank or invalid value gives `fallback`.
+function parseZoomSetting(value, fallback) {
+  const zoom = Math.round(Number(value));
+  if (value === null || value === undefined || value === '' || isNaN(zoom)) { return fallback; }
+  return Math.min(24, Math.max(0, zoom));
+}
+
+// Zoom range of a basemap or overlay, the settings giving the defaults: the source has tiles
+// from minZoom to maxNativeZoom; beyond that and up to maxZoom, its last tiles are enlarged
+// (overzoom) or it is hidden. The map can be zoomed in up to the maxZoom of its basemap.
+function tileZoomRange(config) {
+  const number = (value, fallback) => (value === null || value === '' || isNaN(value) ? fallback : Number(value));
+  const minZoom = number(config.minZoom, 0);
+  const maxZoom = Math.max(minZoom, number(config.maxZoom, tileMaxZoom));
+  const maxNativeZoom = Math.min(maxZoom, Math.max(minZoom, number(config.maxNativeZoom, tileMaxNativeZoom)));
+  return { minZoom, maxNativeZoom, maxZoom, overzoom: !!(config.overzoom ?? overzoomTiles) };
+}
+
+// Whether a tile layer has (possibly enlarged) tiles to show at a zoom level.
+function tileLayerShownAt(layer, zoom) {
+  return zoom >= layer.options.minZoom && zoom <= layer.options.maxZoom;
+}
+
+// Leaflet layer of an entry of the "Basemaps and map services" setting:
+// { name, type: 'xyz' | 'wms' | 'wmts', url, attribution, opacity, minZoom, maxZoom, ... }.
+function createTileSource(config) {
+  const range = tileZoomRange(config);
+  const options = {
+    attribution: DOMPurify.sanitize(config.attribution || '', {FORCE_BODY: true}),
+    opacity: config.opacity ?? 1,
+    minZoom: range.minZoom,
+    maxNativeZoom: range.maxNativeZoom,
+    // Leaflet shows no tiles above the layer's maxZoom
+    maxZoom: range.overzoom ? range.maxZoom : range.maxNativeZoom,
+  };
+  let layer;
+  switch (String(config.type || 'xyz').toLowerCase()) {
+    case 'wms':
+      layer = L.tileLayer.wms(config.url, Object.assign(options, {
+        layers: config.layers || '',
+        styles: config.styles || '',
+        format: config.format || 'image/png',
+        transparent: config.transparent ?? !!config.overlay,
+        version: config.version || '1.1.1',
+      }));
+      break;
+    case 'wmts':
+      // Blank until the capabilities have been read
+      layer = new L.TileLayer.WMTS(L.Util.emptyImageUrl, options);
+      wmtsTileSource(config)
+        .then(({ url, matrixIds }) => {
+          layer.options.matrixIds = matrixIds;
+          layer.setUrl(url);
+        })
+        .catch(err => console.error('Error reading WMTS capabilities of "' + config.name + '":', err));
+      break;
+    default:
+      if (config.subdomains) { options.subdomains = config.subdomains; }
+      layer = L.tileLayer(config.url, options);
+  }
+  layer._gristZoomRange = range;
+  return layer;
+}
+
+// Create the basemaps and tile overlays when their settings changed, and show the selected
+// basemap. Without configured basemaps, the Source / Copyright settings make the only one.
+function syncTileLayer() {
+  const key = JSON.stringify([mapSource, mapCopyright, basemapsConfig, tileMaxNativeZoom, tileMaxZoom, overzoomTiles]);
+  if (key !== tileLayersKey) {
+    if (tileLayer) { amap.removeLayer(tileLayer); }
+    for (const layer of Object.values(tileOverlays)) { removeNamedLayerGroup(layer); }
+    tileLayer = null;
+    basemapLayers = {};
+    tileOverlays = {};
+    const basemaps = basemapsConfig.filter(config => !config.overlay);
+    if (basemaps.length === 0) {
+      // Map tile source:
+      //    https://leaflet-extras.github.io/leaflet-providers/preview/
+      //    Old source was natgeo world map, but that only has data up to zoom 16
+      //    (can't zoom in tighter than about 10 city blocks across)
+      //
+      basemapLayers[''] = createTileSource({ name: '', url: mapSource, attribution: mapCopyright });
+    }
+    for (const config of basemaps) { basemapLayers[config.name] = createTileSource(config); }
+    // Overlays: lower `order` drawn first (behind)
+    const overlays = basemapsConfig.filter(config => config.overlay)
+      .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+    for (const config of overlays) {
+      tileOverlays[config.name] = createTileSource(config);
+      addNamedLayerGroup(config.name, tileOverlays[config.name]);
+    }
+    tileLayersKey = key;
+  }
+  const name = selectedBasemap in basemapLayers ? selectedBasemap : Object.keys(basemapLayers)[0];
+  if (basemapLayers[name] === tileLayer) { return; }
+  if (tileLayer) { amap.removeLayer(tileLayer); }
+  tileLayer = basemapLayers[name];
+  amap.setMaxZoom(tileLayer._gristZoomRange.maxZoom);
+  // On a fresh map the zoomend handler adds the tiles once the view is established.
+  if (amap._loaded && tileLayerShownAt(tileLayer, amap.getZoom())) { amap.addLayer(tileLayer); }
+}
+
+// Highest zoom level to fit the data to: the last one with native tiles of the basemap.
+function fitMaxZoom() {
+  return tileLayer ? tileLayer._gristZoomRange.maxNativeZoom : tileMaxNativeZoom;
+}
+
+// Rebuild the layer control only when the set of layer groups it lists has changed.
+function syncLayerControl(isLayerMode, layerGroupName) {
+  const additional = {};
+  for (const name of additionalLayerNames) {
+    if (additionalLayerGroups[name]) { additional[name] = additionalLayerGroups[name].group; }
+  }
+  Object.assign(additional, tileOverlays);
+  const orderedNames = Object.keys(savedLayerVisibility);
+  const stamps = (groups) => Object.keys(groups).map(name => [name, L.stamp(groups[name])]);
+  const key = JSON.stringify([isLayerMode, layerGroupName, orderedNames, stamps(mainLayerGroups), stamps(additional),
+    stamps(basemapLayers)]);
+  if (key === layerControlKey) { return; }
+  if (layerControl) { amap.removeControl(layerControl); }
+  layerControl = addLayerControl(amap, mainLayerGroups, additional, isLayerMode, layerGroupName, orderedNames,
+    basemapLayers);
+  layerControlKey = key;
+}
+
+// Show the coordinate-mode point editing control when the draw toolbar is enabled
+// (markers display and write access required).
+function syncPointEditControl(isGeoJSONMode) {
+  const enabled = !isGeoJSONMode && writeAccess && showDrawToolbar && pointDisplay === 'markers';
+  if (enabled && !pointEditControl) {
+    pointEditControl = new L.Control.PointEdit(setMarkersDraggable, onPointAdded).addTo(amap);
+  } else if (!enabled && pointEditControl) {
+    amap.removeControl(pointEditControl);
+    pointEditControl = null;
+  }
+}
+
+// Enable or disable dragging of every coordinate-mode marker.
+function setMarkersDraggable(draggable) {
+  markersDraggable = draggable;
+  for (const id in renderedFeatures) {
+    const marker = renderedFeatures[id].layer;
+    if (renderedFeatures[id].container || !marker) { continue; }
+    marker.options.draggable = draggable;
+    if (marker.dragging) {
+      if (draggable) { marker.dragging.enable(); } else { marker.dragging.disable(); }
+    }
+  }
+}
+
+// Vector layers that drawn and edited vertices snap to: the editable features and the
+// additional layers that are switched on.
+function snapLayers() {
+  const groups = [editableGroup, ...Object.values(additionalLayerGroups).map(l => l.group)];
+  const layers = [];
+  for (const group of groups) {
+    if (!group) { continue; }
+    for (const layer of collectLayers(group)) {
+      if ((layer instanceof L.Polyline || layer instanceof L.Marker || layer instanceof L.CircleMarker)
+          && amap.hasLayer(layer)) {
+        layers.push(layer);
+      }
+    }
+  }
+  return layers;
+}
+
+// The vertex lists of a layer: [{ latlngs, closed }], one per line or polygon ring.
+function layerPaths(layer) {
+  if (!(layer instanceof L.Polyline)) { return [{ latlngs: [layer.getLatLng()], closed: false }]; }
+  const closed = layer instanceof L.Polygon;
+  const paths = [];
+  (function walk(latlngs) {
+    if (L.LineUtil.isFlat(latlngs)) { paths.push({ latlngs, closed }); }
+    else { latlngs.forEach(walk); }
+  })(layer.getLatLngs());
+  return paths;
+}
+
+// Where a vertex at `latlng` snaps to: the nearest vertex of another feature within
+// snapTolerance pixels, else the nearest point on one of its edges, else null.
+// Vertices at `ignoreLatLng` and the edges that end there are skipped (they are being moved).
+function snapLatLng(latlng, exclude, ignoreLatLng) {
+  if (!amap || !(snapTolerance > 0)) { return null; }
+  // Unrounded pixel coordinates, so that points snapped onto an edge stay on it
+  const point = amap.project(latlng);
+  const box = L.latLngBounds(
+    amap.unproject(point.subtract([snapTolerance, snapTolerance])),
+    amap.unproject(point.add([snapTolerance, snapTolerance])));
+  const ignored = (ll) => !!ignoreLatLng && ll.equals(ignoreLatLng, 1e-9);
+  let vertex = null, vertexDistance = snapTolerance;
+  let edge = null, edgeDistance = snapTolerance;
+  for (const layer of snapLayers()) {
+    if (layer === exclude) { continue; }
+    if (layer instanceof L.Polyline && !layer.getBounds().intersects(box)) { continue; }
+    for (const { latlngs, closed } of layerPaths(layer)) {
+      const points = latlngs.map(ll => amap.project(ll));
+      points.forEach((p, i) => {
+        const distance = p.distanceTo(point);
+        if (distance <= vertexDistance && !ignored(latlngs[i])) {
+          vertex = latlngs[i];
+          vertexDistance = distance;
+        }
+        const j = i + 1 < points.length ? i + 1 : (closed && points.length > 2 ? 0 : -1);
+        if (j < 0 || ignored(latlngs[i]) || ignored(latlngs[j])) { return; }
+        const closest = L.LineUtil.closestPointOnSegment(point, p, points[j]);
+        if (closest.distanceTo(point) < edgeDistance) {
+          edge = closest;
+          edgeDistance = closest.distanceTo(point);
+        }
+      });
+    }
+  }
+  if (vertex) { return L.latLng(vertex.lat, vertex.lng); }
+  return edge ? amap.unproject(edge) : null;
+}
+
+// Mark the snapped position, or hide the mark when latlng is null.
+function showSnapIndicator(latlng) {
+  if (!amap) { return; }
+  if (!latlng) {
+    if (snapIndicator) { amap.removeLayer(snapIndicator); }
+    return;
+  }
+  if (!snapIndicator) {
+    snapIndicator = L.circleMarker(latlng, {
+      radius: 7, color: '#16B378', weight: 2, fill: false, interactive: false, className: 'snap-indicator',
+    });
+  }
+  snapIndicator.setLatLng(latlng);
+  if (!amap.hasLayer(snapIndicator)) { snapIndicator.addTo(amap); }
+}
+
+// With "Edit shared boundaries together", move the vertices of the other edited shapes that
+// sat where a dragged vertex was, so that both sides of a shared boundary follow it.
+// Those shapes are marked as edited and get saved with it.
+function moveSharedVertices(draggedHandler, from, to) {
+  editableGroup.eachLayer(function (layer) {
+    const handlers = layer.editing?._verticesHandlers;
+    if (!handlers || !layer.editing.enabled()) { return; }
+    handlers.forEach(handler => {
+      if (handler === draggedHandler) { return; }
+      (handler._markers || []).forEach(marker => {
+        if (!marker._origLatLng.equals(from, 1e-9)) { return; }
+        marker.setLatLng(to);
+        onVertexDrag.call(handler, { target: marker });
+        handler._poly.edited = true;
+      });
+    });
+  });
+}
+
+// Hook snapping into Leaflet.draw: vertices of new lines and polygons, new markers, dragged
+// vertices and dragged markers.
+const addDrawnVertex = L.Draw.Polyline.prototype.addVertex;
+L.Draw.Polyline.prototype.addVertex = function (latlng) {
+  addDrawnVertex.call(this, snapLatLng(latlng) || latlng);
+};
+
+const onDrawMouseMove = L.Draw.Polyline.prototype._onMouseMove;
+L.Draw.Polyline.prototype._onMouseMove = function (e) {
+  onDrawMouseMove.call(this, e);
+  const snapped = snapLatLng(this._currentLatLng);
+  if (snapped) {
+    this._currentLatLng = snapped;
+    this._mouseMarker.setLatLng(snapped);
+    this._updateGuide(this._map.latLngToLayerPoint(snapped));
+  }
+  showSnapIndicator(snapped);
+};
+
+const onDrawMarkerMouseMove = L.Draw.Marker.prototype._onMouseMove;
+L.Draw.Marker.prototype._onMouseMove = function (e) {
+  const snapped = snapLatLng(e.latlng);
+  onDrawMarkerMouseMove.call(this, snapped ? L.extend({}, e, { latlng: snapped }) : e);
+  showSnapIndicator(snapped);
+};
+
+const onVertexDrag = L.Edit.PolyVerticesEdit.prototype._onMarkerDrag;
+L.Edit.PolyVerticesEdit.prototype._onMarkerDrag = function (e) {
+  const marker = e.target;
+  const from = L.latLng(marker._origLatLng.lat, marker._origLatLng.lng);
+  const snapped = snapLatLng(marker.getLatLng(), this._poly, editSharedBoundaries ? from : null);
+  if (snapped) { marker.setLatLng(snapped); }
+  showSnapIndicator(snapped);
+  onVertexDrag.call(this, e);
+  if (editSharedBoundaries && !marker._origLatLng.equals(from)) {
+    moveSharedVertices(this, from, marker._origLatLng);
+  }
+};
+
+function onEditedMarkerDrag(e) {
+  const snapped = snapLatLng(e.target.getLatLng(), e.target);
+  if (snapped) { e.target.setLatLng(snapped); }
+  showSnapIndicator(snapped);
+}
+
+const addMarkerEditHooks = L.Edit.Marker.prototype.addHooks;
+L.Edit.Marker.prototype.addHooks = function () {
+  addMarkerEditHooks.call(this);
+  this._marker.on('drag', onEditedMarkerDrag);
+};
+
+const removeMarkerEditHooks = L.Edit.Marker.prototype.removeHooks;
+L.Edit.Marker.prototype.removeHooks = function () {
+  removeMarkerEditHooks.call(this);
+  this._marker.off('drag', onEditedMarkerDrag);
+};
+
+// Add, remove or recreate the draw toolbar when its settings or target group changed.
+function syncDrawControl(isGeoJSONMode) {
+  const enabled = isGeoJSONMode && writeAccess && showDrawToolbar && editableGroup;
+  const key = enabled ? JSON.stringify([L.stamp(editableGroup), showDeleteToolbar, areaUnit]) : null;
+  if (key === drawControlKey) { return; }
+  if (drawControl) { amap.removeControl(drawControl); }
+  drawControl = null;
+  drawControlKey = key;
+  if (!enabled) { return; }
+  // Live area (and length) read-out while drawing, in the measurement unit
+  const metric = (AREA_UNITS[areaUnit] || AREA_UNITS.m2).drawUnits;
+  drawControl = new L.Control.Draw({
+    draw: {
+      polygon: { showArea: true, metric: metric },
+      polyline: { metric: true },
+      rectangle: { showArea: true, metric: metric },
+      marker: true,
+      circle: { metric: true },
+      circlemarker: true,
+    },
+    edit: {
+      featureGroup: editableGroup,
+      remove: showDeleteToolbar ? {} : false,
+    },
+  });
+  amap.addControl(drawControl);
+}
+
+// Show or hide the Split / Merge / Hole / Buffer control (GeoJSON mode, write access).
+function syncGeometryToolsControl(isGeoJSONMode) {
+  const enabled = isGeoJSONMode && writeAccess && showGeometryTools;
+  if (enabled && !geometryToolsControl) {
+    geometryToolsControl = new L.Control.GeometryTools([
+      { label: 'Split', title: 'Split the selected polygons or lines along a line', run: splitSelectedFeatures },
+      { label: 'Merge', title: 'Merge the selected polygons into one row', run: mergeSelectedFeatures },
+      { label: 'Hole', title: 'Cut a hole in the selected polygon', run: cutHoleInSelectedFeatures },
+      { label: 'Buffer', title: 'Add a buffer polygon around the selected features', run: bufferSelectedFeatures },
+    ]).addTo(amap);
+  } else if (!enabled && geometryToolsControl) {
+    if (geometryToolDraw) { geometryToolDraw.handler.disable(); }
+    amap.removeControl(geometryToolsControl);
+    geometryToolsControl = null;
+  }
+}
+
+// Is a rendered row in a layer that's switched on? Coordinate-mode rows always are, even
+// while they are shown as a heatmap or hexagons instead of markers.
+function isRenderedFeatureVisible(entry) {
+  if (!entry.container) { return true; }
+  const group = mainLayerGroups[entry.groupName];
+  return !!group && amap.hasLayer(group);
+}
+
+// Show coordinate-mode rows as clustered markers, a heatmap or hexagonal bins.
+// weightLabel: label of the mapped Weight column, or null.
+function syncPointDisplay(weightLabel) {
+  let display = pointDisplay;
+  if (display === 'heatmap' && !L.heatLayer) {
+    console.error('Heatmap display needs leaflet.heat, which is not loaded');
+    display = 'markers';
+  }
+  if (display === 'markers') {
+    // Bulk insertion is much faster than adding markers to the cluster group one by one
+    const newMarkers = [];
+    for (const id in renderedFeatures) {
+      const entry = renderedFeatures[id];
+      if (!entry.clustered) {
+        newMarkers.push(rowMarker(id));
+        entry.clustered = true;
+      }
+    }
+    markers.addLayers(newMarkers);
+    if (!amap.hasLayer(markers)) { amap.addLayer(markers); }
+  } else if (amap.hasLayer(markers)) {
+    amap.removeLayer(markers);
+  }
+
+  const entries = Object.values(renderedFeatures);
+  const valueOf = (entry) => (weightLabel && entry.weight !== '' && isFinite(entry.weight) ? Number(entry.weight) : null);
+  if (display === 'heatmap') {
+    // Unweighted points all count as 1; weighted ones are scaled to the largest weight
+    const latlngs = entries.map(e => [e.points[0].lat, e.points[0].lng, weightLabel ? (valueOf(e) ?? 0) : 1]);
+    const max = latlngs.reduce((m, ll) => Math.max(m, ll[2]), 1e-9);
+    if (!heatLayer) { heatLayer = L.heatLayer(latlngs, { radius: 25, max }).addTo(amap); }
+    else { heatLayer.setOptions({ max }).setLatLngs(latlngs); }
+  } else if (heatLayer) {
+    amap.removeLayer(heatLayer);
+    heatLayer = null;
+  }
+
+  const points = entries.map(e => ({ latlng: e.points[0], value: valueOf(e) }));
+  const key = JSON.stringify([hexbinSize, hexbinAggregate, weightLabel]);
+  if (display === 'hexbin' && hexbinLayer && hexbinLayerKey === key) {
+    hexbinLayer.setData(points);
+  } else {
+    if (hexbinLayer) { amap.removeLayer(hexbinLayer); }
+    hexbinLayer = hexbinLayerKey = null;
+    pointDisplayLegend = [];
+    if (display === 'hexbin') {
+      pointDisplayLegendTitle = !weightLabel || hexbinAggregate === 'count' ? 'Points per hexagon'
+        : (hexbinAggregate === 'sum' ? 'Sum of ' : 'Mean of ') + weightLabel;
+      hexbinLayer = new L.HexbinLayer(points, {
+        radius: hexbinSize,
+        aggregate: hexbinAggregate,
+        valueLabel: weightLabel,
+        onClassify: (classes) => {
+          pointDisplayLegend = classes;
+          syncLegendControl();
+        },
+      }).addTo(amap);
+      hexbinLayerKey = key;
+    }
+  }
+}
+
+// Marker of a coordinate-mode row, built when first needed: markers are made for the
+// clustered display, and for rows selected while points are a heatmap or hexagons.
+function rowMarker(id) {
+  const entry = renderedFeatures[id];
+  if (!entry || entry.container) { return null; }
+  if (!entry.layer) {
+    const selected = id == selectedRowId;
+    const marker = L.marker(entry.points[0], {
+      title: entry.name,
+      id: Number(id),
+      icon: rowMarkerIcon(id, selected),
+      pane: selected ? "selectedMarker" : "otherMarkers",
+      draggable: markersDraggable,
+    });
+    marker.bindPopup(entry.popupHtml);
+    marker.on('dragend', onMarkerDragged);
+    entry.layer = marker;
+    popups[id] = marker;
+  }
+  return entry.layer;
+}
+
+// Icon of a coordinate-mode marker: its photo, a circle in its thematic style, or the pin.
+function rowMarkerIcon(id, selected) {
+  if (markerPhotos[id]) { return makePhotoIcon(markerPhotos[id], selected); }
+  if (markerStyles[id]) { return makePointIcon(markerStyles[id], selected); }
+  return selected ? selectedIcon : defaultIcon;
+}
+
+// Open the popup of a coordinate-mode marker, unclustering it first. While points are shown
+// as a heatmap or hexagons the marker isn't on the map, so its popup opens at its location.
+function openMarkerPopup(marker) {
+  if (amap.hasLayer(markers)) {
+    markers.zoomToShowLayer(marker);
+    marker.openPopup();
+  } else {
+    amap.openPopup(marker.getPopup().getContent(), marker.getLatLng());
+  }
+}
+
+// Build a FeatureCollection of the rendered features in visible layers: main table rows
+// (with their Name, Layer and Popup columns as properties) and additional layer rows.
+function buildExportCollection() {
+  const mappings = currentMappings || {};
+  const popupCols = mappings[Popup] ? [].concat(mappings[Popup]) : [];
+  const propCols = [...new Set([mappings[Name], mappings[Layer], ...popupCols].filter(Boolean).map(String))];
+  const features = [];
+  for (const id in renderedFeatures) {
+    const entry = renderedFeatures[id];
+    if (!isRenderedFeatureVisible(entry)) { continue; }
+    const raw = rawRecordsById[id] || {};
+    const props = { name: exportValue(raw[mappings[Name]] ?? getInfo(raw).name) };
+    for (const col of propCols) { props[col] = exportValue(raw[col]); }
+    features.push(...toGeoJSONFeatures(entry.geojson, props));
+  }
+  for (const name of additionalLayerNames) {
+    const info = additionalLayerGroups[name];
+    if (!info || !amap.hasLayer(info.group)) { continue; }
+    for (const feat of info.features) {
+      features.push(...toGeoJSONFeatures(feat.geojson, { name: exportValue(feat.name), layer: name }));
+    }
+  }
+  return { type: 'FeatureCollection', features };
+}
+
+// Download the visible features in the given format ('GeoJSON', 'KML' or 'GPX').
+function exportVisibleFeatures(format) {
+  if (!amap) { return; }
+  const collection = buildExportCollection();
+  const basename = selectedTableId || 'map';
+  if (format === 'KML') {
+    downloadFile(basename + '.kml', featureCollectionToKML(collection, 'name'), 'application/vnd.google-earth.kml+xml');
+  } else if (format === 'GPX') {
+    downloadFile(basename + '.gpx', featureCollectionToGPX(collection, 'name'), 'application/gpx+xml');
+  } else {
+    downloadFile(basename + '.geojson', JSON.stringify(collection, null, 2), 'application/geo+json');
+  }
+}
+
+// Show or hide the import control (write access and a geometry mapping required).
+function syncImportControl() {
+  if (!amap) { return; }
+  const mappings = currentMappings;
+  const canImport = writeAccess && mappings &&
+    (mappings[GeoJSON] || (mappings[Longitude] && mappings[Latitude]));
+  if (showImportButton && canImport && !importControl) {
+    importControl = new L.Control.Import(importFile).addTo(amap);
+  } else if (!(showImportButton && canImport) && importControl) {
+    amap.removeControl(importControl);
+    importControl = null;
+  }
+}
+
+// Outline the features of the spatial selection (drawn over them, not interactive).
+function syncSelectionOverlay() {
+  if (selectionOverlay) { selectionOverlay.remove(); }
+  selectionOverlay = null;
+  if (!amap || !spatialSelection) { return; }
+  const features = [...spatialSelection].filter(id => renderedFeatures[id])
+    .flatMap(id => toGeoJSONFeatures(renderedFeatures[id].geojson, {}));
+  selectionOverlay = L.geoJSON({ type: 'FeatureCollection', features }, {
+    interactive: false,
+    style: { color: '#16B378', weight: 4, opacity: 0.9, fill: false },
+    pointToLayer: (feature, latlng) => L.circleMarker(latlng, { radius: 12, interactive: false }),
+  }).addTo(amap);
+}
+
+// Make `ids` the spatial selection, filtering linked widgets to those rows
+// (null clears the selection, so linked widgets show every row again — or, in extent
+// mode, the rows in view).
+function setSpatialSelection(ids) {
+  spatialSelection = ids ? new Set(ids.map(String)) : null;
+  if (spatialSelection) {
+    grist.setSelectedRows?.([...spatialSelection].map(Number)).catch(() => {});
+  } else if (mode === 'extent') {
+    publishRowsInExtent();
+  } else if (publishesTimeRows()) {
+    publishRowsAtTime();
+  } else {
+    grist.setSelectedRows?.(null).catch(() => {});
+  }
+  syncSelectionOverlay();
+}
+
+// Shift-click on a feature: add it to or remove it from the spatial selection.
+function toggleSpatialSelection(id) {
+  const ids = new Set(spatialSelection || []);
+  if (ids.has(String(id))) { ids.delete(String(id)); }
+  else { ids.add(String(id)); }
+  setSpatialSelection(ids.size > 0 ? [...ids] : null);
+}
+
+// Row ids of the rendered features, in visible layers, that intersect a ring of [lng, lat].
+function rowIdsIntersectingRing(ring) {
+  return Object.keys(renderedFeatures).filter((id) => {
+    const entry = renderedFeatures[id];
+    return isRenderedFeatureVisible(entry) && geometryIntersectsRing(entry.geojson, ring);
+  });
+}
+
+// Select the rendered features (in visible layers) that intersect a drawn ring.
+function selectFeaturesInRing(ring, additive) {
+  const ids = rowIdsIntersectingRing(ring);
+  if (additive && spatialSelection) { ids.push(...spatialSelection); }
+  setSpatialSelection(ids);
+}
+
+// Delay between the map settling and linked widgets being filtered in extent mode (ms).
+const EXTENT_FILTER_DELAY = 300;
+let extentFilterTimer = null;
+
+// Extent mode: filter linked widgets to the rows intersecting the visible map bounds.
+// A spatial selection made with the selection tool takes precedence until cleared.
+function publishRowsInExtent() {
+  if (!amap || !amap._loaded || mode !== 'extent' || spatialSelection) { return; }
+  const b = amap.getBounds();
+  const ring = [[b.getWest(), b.getSouth()], [b.getWest(), b.getNorth()], [b.getEast(), b.getNorth()],
+    [b.getEast(), b.getSouth()], [b.getWest(), b.getSouth()]];
+  grist.setSelectedRows?.(rowIdsIntersectingRing(ring).map(Number)).catch(() => {});
+}
+
+// Debounced publishRowsInExtent, called as the map moves and the data changes.
+function schedulePublishRowsInExtent() {
+  if (mode !== 'extent') { return; }
+  clearTimeout(extentFilterTimer);
+  extentFilterTimer = setTimeout(publishRowsInExtent, EXTENT_FILTER_DELAY);
+}
+
+// Seconds since the epoch of a Date / DateTime cell (or of a date string), or null.
+function cellTime(v) {
+  const seconds = cellSeconds(v);
+  if (seconds !== null) { return seconds; }
+  const parsed = typeof v === 'string' && v ? Date.parse(v) : NaN;
+  return isNaN(parsed) ? null : parsed / 1000;
+}
+
+const timeZoneFormats = {}; // time zone → Intl.DateTimeFormat, see timeZoneOffset
+
+// Offset (seconds) from UTC of a time zone at an instant: 'UTC', an IANA name such as
+// 'Europe/Zurich', or null for the browser's time zone.
+function timeZoneOffset(seconds, timeZone) {
+  if (timeZone === 'UTC') { return 0; }
+  const date = new Date(seconds * 1000);
+  try {
+    if (!timeZone) { throw new Error('local time'); }
+    if (!timeZoneFormats[timeZone]) {
+      timeZoneFormats[timeZone] = new Intl.DateTimeFormat('en-US', { timeZone, hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric' });
+    }
+    const parts = {};
+    for (const part of timeZoneFormats[timeZone].formatToParts(date)) { parts[part.type] = Number(part.value); }
+    return (Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+      - Math.floor(date.getTime() / 1000) * 1000) / 1000;
+  } catch (e) {
+    return -date.getTimezoneOffset() * 60;
+  }
+}
+
+// Fetch the time zones in which the time slider reads the mapped date columns: DateTime
+// columns are in their column's time zone, Date columns and text dates in UTC.
+async function syncTimeColumnZones(mappings) {
+  const colIds = timeSliderActive(mappings)
+    ? [StartDate, EndDate, SingleDate].map(field => mappings[field]).filter(Boolean).map(String) : [];
+  const key = JSON.stringify([selectedTableId, colIds]);
+  if (key === timeColumnZonesKey) { return; }
+  const zones = {};
+  try {
+    for (const cfg of colIds.length > 0 ? await describeColumns(colIds) : []) {
+      zones[cfg.colId] = cfg.type.startsWith('DateTime') ? (cfg.type.slice(9) || null) : 'UTC';
+    }
+  } catch (e) {
+    console.warn('Could not fetch column types:', e);
+  }
+  timeColumnZones = zones;
+  timeColumnZonesKey = key;
+}
+
+// Start (seconds, UTC) of the time step containing `seconds`.
+function timeStepStart(seconds, step) {
+  const d = new Date(seconds * 1000);
+  const y = d.getUTCFullYear(), m = d.getUTCMonth(), day = d.getUTCDate();
+  switch (step) {
+    case 'year': return Date.UTC(y, 0, 1) / 1000;
+    case 'month': return Date.UTC(y, m, 1) / 1000;
+    case 'week': return Date.UTC(y, m, day - (d.getUTCDay() + 6) % 7) / 1000; // from Monday
+    default: return Date.UTC(y, m, day) / 1000;
+  }
+}
+
+// Start of the time step following the one starting at `seconds`.
+function nextTimeStep(seconds, step) {
+  const d = new Date(seconds * 1000);
+  const y = d.getUTCFullYear(), m = d.getUTCMonth(), day = d.getUTCDate();
+  switch (step) {
+    case 'year': return Date.UTC(y + 1, m, day) / 1000;
+    case 'month': return Date.UTC(y, m + 1, day) / 1000;
+    case 'week': return Date.UTC(y, m, day + 7) / 1000;
+    default: return Date.UTC(y, m, day + 1) / 1000;
+  }
+}
+
+// Label of the time step starting at `seconds`, e.g. "2024-05" for a month.
+function formatTimeStep(seconds, step) {
+  const iso = new Date(seconds * 1000).toISOString();
+  switch (step) {
+    case 'year': return iso.slice(0, 4);
+    case 'month': return iso.slice(0, 7);
+    case 'week': return 'Week of ' + iso.slice(0, 10);
+    default: return iso.slice(0, 10);
+  }
+}
+
+// [start, end] (seconds, null = open) of the period in which the time slider shows a row,
+// or null when the row has no dates (it is always shown). Times are those of the clock in
+// the column's time zone (see syncTimeColumnZones), counted as if it were UTC.
+function rowTimeRange(rawRec, mappings) {
+  const value = (name) => {
+    const colId = rawRec && mappings?.[name];
+    const t = colId ? cellTime(parseValue(rawRec[colId])) : null;
+    if (t === null) { return null; }
+    return t + timeZoneOffset(t, colId in timeColumnZones ? timeColumnZones[colId] : 'UTC');
+  };
+  const date = value(SingleDate);
+  const start = value(StartDate) ?? date;
+  const end = value(EndDate) ?? date;
+  return start === null && end === null ? null : [start, end];
+}
+
+// Whether the time slider filters the rows: it is enabled and a date column is mapped.
+function timeSliderActive(mappings) {
+  return showTimeSlider && !!(mappings && (mappings[StartDate] || mappings[EndDate] || mappings[SingleDate]));
+}
+
+// Whether a row is shown at the time slider step starting at `period`: its period overlaps the
+// step or, in cumulative mode, started before the step ends.
+function rowShownAtTime(id, period) {
+  const range = timeRangesById[id];
+  if (!range || period === null) { return true; }
+  const [start, end] = range;
+  if (start !== null && start >= nextTimeStep(period, timeStep)) { return false; }
+  return timeCumulative || end === null || end >= period;
+}
+
+// Most time slider steps, so a stray date centuries away can't make millions of them.
+const MAX_TIME_STEPS = 10000;
+// Delay between two steps of the time slider animation (ms).
+const TIME_SLIDER_INTERVAL = 1000;
+
+// Compute the steps of the time slider from the dates of all rows (not just `data`, which is a
+// single row in single mode), keep the chosen one in range, and show or hide the control.
+function syncTimeSlider() {
+  if (!amap) { return; }
+  const active = timeSliderActive(currentMappings);
+  let min = Infinity, max = -Infinity;
+  timeRangesById = {};
+  if (active) {
+    for (const id in rawRecordsById) {
+      const range = timeRangesById[id] = rowTimeRange(rawRecordsById[id], currentMappings);
+      for (const t of range || []) {
+        if (t !== null) { min = Math.min(min, t); max = Math.max(max, t); }
+      }
+    }
+  }
+  timeSliderPeriods = [];
+  for (let t = min === Infinity ? Infinity : timeStepStart(min, timeStep);
+    t <= max && timeSliderPeriods.length < MAX_TIME_STEPS; t = nextTimeStep(t, timeStep)) {
+    timeSliderPeriods.push(t);
+  }
+  if (timeSliderPeriods.length === 0) {
+    timeSliderDate = null;
+    stopTimeSlider();
+    if (timeSliderControl) { amap.removeControl(timeSliderControl); }
+    timeSliderControl = null;
+    return;
+  }
+  if (timeSliderDate === null || timeSliderDate > timeSliderPeriods[timeSliderPeriods.length - 1]) {
+    timeSliderDate = timeSliderPeriods[timeSliderPeriods.length - 1];
+  } else {
+    timeSliderDate = timeSliderPeriods.filter(t => t <= timeSliderDate).pop() ?? timeSliderPeriods[0];
+  }
+  if (!timeSliderControl) {
+    timeSliderControl = new L.Control.TimeSlider(
+      (index) => setTimeSliderDate(timeSliderPeriods[index], true),
+      toggleTimeSliderPlay,
+      (checked) => {
+        timeCumulative = checked;
+        grist.setOption('timeCumulative', timeCumulative).catch(() => {});
+        updateMap(null, null, true);
+      },
+    ).addTo(amap);
+  }
+  updateTimeSliderControl();
+}
+
+function updateTimeSliderControl() {
+  if (!timeSliderControl) { return; }
+  timeSliderControl.update(timeSliderPeriods.length, timeSliderPeriods.indexOf(timeSliderDate),
+    formatTimeStep(timeSliderDate, timeStep), !!timeSliderTimer, timeCumulative);
+}
+
+// Delay of the map update after the time slider moved, so dragging it redraws the map once.
+const TIME_SLIDER_REDRAW_DELAY = 150;
+
+// Show the rows of the time slider step starting at `period`. When dragged (`debounce`),
+// the map is updated once the slider rests.
+function setTimeSliderDate(period, debounce) {
+  timeSliderDate = period;
+  updateTimeSliderControl();
+  clearTimeout(timeSliderRedraw);
+  if (debounce) {
+    timeSliderRedraw = setTimeout(() => updateMap(null, null, true), TIME_SLIDER_REDRAW_DELAY);
+  } else {
+    updateMap(null, null, true);
+  }
+}
+
+// Play the time slider animation (from the first step when at the last one), or pause it.
+function toggleTimeSliderPlay() {
+  if (timeSliderTimer) {
+    stopTimeSlider();
+    return;
+  }
+  if (timeSliderPeriods.indexOf(timeSliderDate) >= timeSliderPeriods.length - 1) {
+    setTimeSliderDate(timeSliderPeriods[0]);
+  }
+  timeSliderTimer = setInterval(() => {
+    const index = timeSliderPeriods.indexOf(timeSliderDate) + 1;
+    if (index >= timeSliderPeriods.length - 1) { stopTimeSlider(); }
+    if (index < timeSliderPeriods.length) { setTimeSliderDate(timeSliderPeriods[index]); }
+  }, TIME_SLIDER_INTERVAL);
+  updateTimeSliderControl();
+}
+
+function stopTimeSlider() {
+  clearInterval(timeSliderTimer);
+  timeSliderTimer = null;
+  updateTimeSliderControl();
+}
+
+// Whether linked widgets are filtered to the rows shown at the time slider's date.
+function publishesTimeRows() {
+  return publishTimeRows && timeSliderActive(currentMappings) && timeSliderPeriods.length > 0;
+}
+
+// Filter linked widgets to the rows shown at the time slider's date, or stop filtering them
+// when the setting was turned off. A spatial selection and the extent mode take precedence.
+function publishRowsAtTime() {
+  if (mode === 'extent' || spatialSelection) { return; }
+  if (publishesTimeRows()) {
+    const ids = Object.keys(rawRecordsById).filter(id => rowShownAtTime(id, timeSliderDate));
+    grist.setSelectedRows?.(ids.map(Number)).catch(() => {});
+    timeRowsPublished = true;
+  } else if (timeRowsPublished) {
+    grist.setSelectedRows?.(null).catch(() => {});
+    timeRowsPublished = false;
+  }
+}
+
+// Show or hide the selection control.
+function syncSelectionControl() {
+  if (!amap) { return; }
+  if (showSelectionTool && !selectionControl) {
+    selectionControl = new L.Control.Select(selectFeaturesInRing, () => setSpatialSelection(null)).addTo(amap);
+  } else if (!showSelectionTool && selectionControl) {
+    amap.removeControl(selectionControl);
+    selectionControl = null;
+  }
+}
+
+// Show or hide the address search box (needs leaflet-control-geocoder).
+function syncSearchControl() {
+  if (!amap) { return; }
+  const enabled = showSearch && !!geocoder;
+  if (enabled && !searchControl) {
+    searchControl = L.Control.geocoder({
+      geocoder: geocoder,
+      defaultMarkGeocode: false,
+      placeholder: 'Search address…',
+    }).on('markgeocode', (e) => showSearchResult(e.geocode)).addTo(amap);
+  } else if (!enabled && searchControl) {
+    amap.removeControl(searchControl);
+    searchControl = null;
+  } else if (searchControl) {
+    // The geocoder is recreated when its settings change
+    searchControl.options.geocoder = geocoder;
+  }
+}
+
+// Cell values placing a record at a geocoder result: a point (or bounding box) in the
+// GeoJSON column in GeoJSON mode, with its measurements, else Longitude/Latitude.
+function searchResultLocationFields(mappings, result) {
+  if (mappings[GeoJSON]) {
+    return geometryCellFields(mappings, geocodedGeometry(result), sampleColumnValue(mappings[GeoJSON]));
+  }
+  return coordinateFields(mappings, result.center);
+}
+
+// "Add record here" in a search result popup: create a record named after the result.
+async function addRecordAtSearchResult(result) {
+  const mappings = defaultMapping(null, currentMappings);
+  if (!selectedTableId) { return; }
+  const extraValues = await promptNewShapeFields(mappings);
+  if (extraValues === null) { return; } // user cancelled
+  try {
+    await grist.docApi.applyUserActions([['AddRecord', selectedTableId, null, {
+      ...searchResultLocationFields(mappings, result),
+      ...(mappings[Name]) ? {[mappings[Name]]: result.name} : undefined,
+      ...extraValues,
+    }]]);
+  } catch (err) {
+    console.error('Error adding record from search:', err);
+  }
+}
+
+// "Move selected record here" in a search result popup. A row with a shape other than a
+// point (a line, polygon or collection) only loses it once the user confirmed it.
+async function moveSelectedRecordToSearchResult(result) {
+  const mappings = defaultMapping(null, currentMappings);
+  if (!selectedTableId || !selectedRowId) { return; }
+  const geometry = mappings[GeoJSON] && renderedFeatures[selectedRowId] ? rowGeometry(selectedRowId) : null;
+  if (geometry && geometry.type !== 'Point' && !await showMessageModal(
+    'Replace the shape of the selected record with this location? Its current shape will be lost.', 'Replace')) {
+    return;
+  }
+  try {
+    await grist.docApi.applyUserActions([['UpdateRecord', selectedTableId, selectedRowId,
+      searchResultLocationFields(mappings, result)]]);
+  } catch (err) {
+    console.error('Error moving record to search result:', err);
+  }
+}
+
+// Fly to a result picked in the search box and offer to add or move a record there.
+function showSearchResult(result) {
+  const maxZoom = Math.min(fitMaxZoom(), amap.getMaxZoom());
+  if (result.bbox) {
+    amap.flyToBounds(result.bbox, { maxZoom });
+  } else {
+    amap.flyTo(result.center, maxZoom);
+  }
+  const content = document.createElement('div');
+  const name = document.createElement('div');
+  name.className = 'search-result-name';
+  name.textContent = result.name;
+  content.appendChild(name);
+  const popup = L.popup();
+  const addAction = (label, onClick) => {
+    const btn = document.createElement('button');
+    btn.className = 'search-result-action';
+    btn.textContent = label;
+    btn.onclick = () => { amap.closePopup(popup); onClick(result); };
+    content.appendChild(btn);
+  };
+  if (writeAccess && selectedTableId && currentMappings) {
+    addAction('Add record here', addRecordAtSearchResult);
+    if (selectedRowId && rawRecordsById[selectedRowId]) {
+      addAction('Move selected record here', moveSelectedRecordToSearchResult);
+    }
+  }
+  popup.setLatLng(result.center).setContent(content).openOn(amap);
+}
+
+// Show or hide the measure control.
+function syncMeasureControl() {
+  if (!amap) { return; }
+  if (showMeasureTool && !measureControl) {
+    measureControl = new L.Control.Measure(measureToolText).addTo(amap);
+  } else if (!showMeasureTool && measureControl) {
+    amap.removeControl(measureControl);
+    measureControl = null;
+  }
+}
+
+// Show or hide the export control.
+function syncExportControl() {
+  if (!amap) { return; }
+  if (showExportButton && !exportControl) {
+    exportControl = new L.Control.Export(exportVisibleFeatures).addTo(amap);
+  } else if (!showExportButton && exportControl) {
+    amap.removeControl(exportControl);
+    exportControl = null;
+  }
+}
+
+// Legend sections derived from the thematic style, the styles actually applied to each
+// visible layer group, and the custom entries configured in settings.
+function buildLegendSections() {
+  const sections = [];
+  const mainKind = mostCommon(Object.values(renderedFeatures).map(e => e.kind)) || 'point';
+  if (thematicLegend.length > 0) {
+    sections.push({
+      title: thematicLegendTitle,
+      entries: thematicLegend.map(c => ({
+        label: c.label,
+        kind: mainKind,
+        style: thematicStyleFor({ colorFor: () => c.color }, thematicConfig, null),
+      })),
+    });
+  }
+
+  if (pointDisplayLegend.length > 0) {
+    sections.push({
+      title: pointDisplayLegendTitle,
+      entries: pointDisplayLegend.map(c => ({
+        label: c.label,
+        kind: 'polygon',
+        style: { color: '#ffffff', fillColor: c.color, fillOpacity: 0.7 },
+      })),
+    });
+  }
+
+  const layerEntries = [];
+  const allLayerGroups = sortedOverlays(getAllLayerGroups(), Object.keys(savedLayerVisibility));
+  for (const name in allLayerGroups) {
+    if (!amap.hasLayer(allLayerGroups[name])) { continue; }
+    if (additionalLayerGroups[name] && additionalLayerGroups[name].group === allLayerGroups[name]) {
+      layerEntries.push(Object.assign({ label: name }, additionalLayerGroups[name].legend));
+      continue;
+    }
+    const ids = Object.keys(renderedFeatures).filter(id => renderedFeatures[id].groupName === name);
+    layerEntries.push({
+      label: name,
+      kind: mostCommon(ids.map(id => renderedFeatures[id].kind)) || 'polygon',
+      style: mostCommon(ids.map(id => Object.assign({ opacity: 0.3, fillOpacity: 0.3 }, geoJSONStyles[id]))) || {},
+    });
+  }
+  if (layerEntries.length > 0) {
+    sections.push({ title: 'Layers', entries: layerEntries });
+  }
+
+  const customEntries = legendEntriesConfig
+    .filter(entry => entry.label != null)
+    .map(entry => ({ label: entry.label, kind: entry.type || 'polygon', style: entry }));
+  if (customEntries.length > 0) {
+    sections.push({ title: '', entries: customEntries });
+  }
+  return sections;
+}
+
+// Show, refresh or hide the legend control.
+function syncLegendControl() {
+  if (!amap) { return; }
+  const sections = showLegend ? buildLegendSections() : [];
+  if (!sections.some(section => section.entries.length > 0)) {
+    if (legendControl) { amap.removeControl(legendControl); }
+    legendControl = null;
+    return;
+  }
+  if (!legendControl) { legendControl = new L.Control.Legend().addTo(amap); }
+  legendControl.update(sections);
+}
+
+// Most thumbnails shown by the gallery
+const MAX_GALLERY_PHOTOS = 500;
+
+// Show or hide the gallery control, and refresh the open gallery.
+function syncGalleryControl() {
+  if (!amap) { return; }
+  if (showGallery && !galleryControl) {
+    galleryControl = new L.Control.Gallery(refreshGallery).addTo(amap);
+  } else if (!showGallery && galleryControl) {
+    amap.removeControl(galleryControl);
+    galleryControl = null;
+  }
+  refreshGallery();
+}
+
+// Fill the open gallery with the photos of the rendered rows in visible layers (see rowPhotos).
+function refreshGallery() {
+  if (!galleryControl || !galleryControl.isOpen()) { return; }
+  const mappings = currentMappings || {};
+  const images = [];
+  for (const id in renderedFeatures) {
+    if (!isRenderedFeatureVisible(renderedFeatures[id])) { continue; }
+    const rawRec = rawRecordsById[id];
+    const nameCol = mappings[Name];
+    const rowName = nameCol && rawRec ? formatCellValue(rawRec[nameCol], popupFieldConfigs[nameCol]) : '';
+    images.push(...rowPhotos(rawRec, mappings).map(photo => Object.assign(photo, { rowName })));
+    if (images.length >= MAX_GALLERY_PHOTOS) { break; }
+  }
+  images.length = Math.min(images.length, MAX_GALLERY_PHOTOS);
+  galleryControl.update(images, (index) => showLightbox(images, index));
+}
+
+// Select a row, bring it into view and open its popup (the lightbox's "Show on map").
+function showRowOnMap(id) {
+  const entry = renderedFeatures[id];
+  if (!entry || !amap) { return; }
+  if (geoJSONLayers[id]) {
+    selectGeoJSONFeature(id);
+    amap.fitBounds(L.latLngBounds(entry.points), { maxZoom: fitMaxZoom() });
+    geoJSONLayers[id].openPopup();
+  } else {
+    openMarkerPopup(selectMaker(id));
+  }
+}
+
+// Fit the map to every rendered main-table and additional-layer point.
+function fitMapToData() {
+  // Extended one point at a time: spreading a large layer's points would overflow the stack
+  const bounds = new L.LatLngBounds(); // bounds of all markers and shapes, used for zooming
+  for (const id in renderedFeatures) { renderedFeatures[id].points.forEach(p => bounds.extend(p)); }
+  for (const name in additionalLayerGroups) { additionalLayerGroups[name].points.forEach(p => bounds.extend(p)); }
+  try {
+    amap.fitBounds(bounds, {maxZoom: fitMaxZoom(), padding: [0, 0]});
+  } catch (err) {
+    console.warn('cannot fit bounds');
+  }
+}
+
+// Add, replace or remove additional layer groups whose fetched content changed.
+function syncAdditionalLayers(additionalLayers) {
+  // Sort by order (lower = drawn first = behind)
+  additionalLayers.sort((a, b) => a.order - b.order);
+  const seen = new Set();
+  for (const layerConfig of additionalLayers) {
+    const name = layerConfig.layerName;
+    seen.add(name);
+    const key = JSON.stringify(layerConfig);
+    if (additionalLayerGroups[name] && additionalLayerGroups[name].key === key) { continue; }
+    if (additionalLayerGroups[name]) { removeNamedLayerGroup(additionalLayerGroups[name].group); }
+
+    const group = L.featureGroup();
+    const points = [];
+    const legend = {
+      kind: mostCommon(layerConfig.features.map(feat => geometryKind(feat.geojson))) || 'polygon',
+      style: mostCommon(layerConfig.features.map(feat =>
+        Object.assign({ radius: 8, opacity: 0.5, fillOpacity: 0.3 }, feat.style))) || {},
+    };
+    for (const feat of layerConfig.features) {
+      const featLayer = L.geoJSON(feat.geojson, {
+        interactive: layerConfig.interactive,
+        style: Object.assign({ radius: 8, opacity: 0.5, fillOpacity: 0.3 }, feat.style),
+        pointToLayer: function (feature, latlng) {
+          return L.circleMarker(latlng);
+        },
+        onEachFeature: function (_feature, layer) {
+          if (layerConfig.interactive && feat.name) {
+            layer.bindPopup(DOMPurify.sanitize(String(feat.name)));
+          }
+        },
+      });
+      group.addLayer(featLayer);
+      if (feat.label) {
+        addLabelToLayer(featLayer, feat.label, feat.labelStyle, group);
       }
-      box.appendChild(row);
+      points.push(...extractPointsFromGeoJSON(feat.geojson));
+    }
+    addNamedLayerGroup(name, group);
+    additionalLayerGroups[name] = { key, group, points, legend, features: layerConfig.features };
+  }
+  for (const name of Object.keys(additionalLayerGroups)) {
+    if (!seen.has(name)) {
+      removeNamedLayerGroup(additionalLayerGroups[name].group);
+      delete additionalLayerGroups[name];
     }
+  }
+  additionalLayerNames = additionalLayers.map(l => l.layerName);
+  applyLayerOrder();
+}
 
-    const buttons = document.createElement('div');
-    buttons.className = 'draw-modal-buttons';
+// Create the Leaflet map and register its long-lived event handlers.
+function createMap() {
+  const error = document.querySelector('.error');
+  if (error) { error.remove(); }
+  const map = L.map('map', {
+    wheelPxPerZoomLevel: 90, //px, default 60, slows scrollwheel zoom
+    // Zoom limits come from the basemap (syncTileLayer), not from the minZoom of overlays
+    minZoom: 0,
+  });
+  // NOTE: tiles are NOT added here. The zoomend handler adds them after setView so we never
+  // go through an "add tiles → setView fires zoomend → immediately remove tiles" cycle,
+  // which was corrupting Leaflet's vector layer rendering state beyond the tiles' zoom range.
 
-    const cancelBtn = document.createElement('button');
-    cancelBtn.textContent = 'Cancel';
-    cancelBtn.className = 'draw-modal-cancel';
+  // Track map view changes to preserve position across data updates
+  map.on('moveend', function () {
+    savedMapView = { center: map.getCenter(), zoom: map.getZoom() };
+    schedulePublishRowsInExtent();
+  });
 
-    const saveBtn = document.createElement('button');
-    saveBtn.textContent = 'Save';
-    saveBtn.className = 'draw-modal-save';
+  // Show basemap tiles only within their zoom range (see tileZoomRange). Tiles are added/removed
+  // here rather than at map creation so that the add always happens after the view is established.
+  map.on('zoomend', function () {
+    if (!tileLayer) { return; }
+    if (!tileLayerShownAt(tileLayer, map.getZoom())) {
+      if (map.hasLayer(tileLayer)) { map.removeLayer(tileLayer); }
+    } else {
+      if (!map.hasLayer(tileLayer)) { map.addLayer(tileLayer); }
+    }
+  });
 
-    const doSave = () => {
-      const values = {};
-      for (const cfg of fieldConfigs) {
-        const el = inputEls[cfg.colId];
-        if (!el) { continue; }
-        const isRef     = cfg.type?.startsWith('Ref:');
-        const isRefList = cfg.type?.startsWith('RefList:');
-        const isBool    = cfg.type === 'Bool';
-        const isChoiceList = cfg.type === 'ChoiceList';
-        const isInt = cfg.type === 'Int' || cfg.type === 'Integer';
-        const isNum = cfg.type === 'Numeric';
-        if (isBool) {
-          values[cfg.colId] = el.checked;
-        } else if (isRefList) {
-          const ids = [...el.selectedOptions].map(o => Number(o.value)).filter(Boolean);
-          if (ids.length > 0) { values[cfg.colId] = ['L', ...ids]; }
-        } else if (isRef && cfg.refOptions) {
-          if (el.value) { values[cfg.colId] = Number(el.value); }
-        } else if (isChoiceList) {
-          const vals = [...el.selectedOptions].map(o => o.value);
-          if (vals.length > 0) { values[cfg.colId] = ['L', ...vals]; }
-        } else if (isInt) {
-          if (el.value !== '') { values[cfg.colId] = parseInt(el.value, 10); }
-        } else if (isNum) {
-          if (el.value !== '') { values[cfg.colId] = parseFloat(el.value); }
-        } else {
-          if (el.value !== '') { values[cfg.colId] = el.value; }
+  // Handle dynamic label sizing and min/max zoom visibility
+  map.on('zoomend', function () {
+    var currentZoom = map.getZoom();
+    for (var i = 0; i < labelTooltipRefs.length; i++) {
+      var ref = labelTooltipRefs[i];
+      var tooltip = ref.sublayer.getTooltip();
+      if (!tooltip) continue;
+      var el = tooltip.getElement();
+      var opts = ref.opts;
+      // Min/max zoom visibility — only applies when element is in DOM
+      if (el) {
+        if (opts.minZoom != null && currentZoom < opts.minZoom) {
+          el.style.display = 'none';
+          continue;
+        }
+        if (opts.maxZoom != null && currentZoom > opts.maxZoom) {
+          el.style.display = 'none';
+          continue;
         }
+        el.style.display = '';
       }
-      overlay.remove();
-      resolve(values);
+      // Dynamic font size scaling — update content even when element not in DOM yet
+      // (so when a toggled-off layer is re-added, its label already has the correct size)
+      if (opts.dynamicSize && opts.fontSize) {
+        var refZoom = opts.referenceZoom || 18;
+        var dynamicFontSize = opts.fontSize * Math.pow(2, currentZoom - refZoom);
+        tooltip.setContent(buildLabelHtml(ref.labelText, opts, dynamicFontSize));
+      }
+    }
+  });
+
+  // Re-apply label size and visibility when a layer is toggled back on
+  var pendingZoomend = null;
+  map.on('layeradd', function () {
+    if (labelTooltipRefs.length === 0) return;
+    clearTimeout(pendingZoomend);
+    pendingZoomend = setTimeout(function () { if (map._loaded) { map.fireEvent('zoomend'); } }, 0);
+  });
+
+  // A basemap picked in the layer control becomes the one shown from now on
+  map.on('layeradd', function (e) {
+    if (e.layer === tileLayer) { return; }
+    const name = Object.keys(basemapLayers).find(n => basemapLayers[n] === e.layer);
+    if (name === undefined) { return; }
+    tileLayer = e.layer;
+    selectedBasemap = name;
+    map.setMaxZoom(tileLayer._gristZoomRange.maxZoom);
+    grist.setOption('basemap', name).catch(() => {});
+  });
+
+  // Track user toggles (via layer control checkboxes) so we can restore them
+  // on the next data update. Uses layeradd/layerremove which fire for both
+  // L.control.layers and L.Control.GroupedLayers.
+  map.on('layeradd layerremove', function (e) {
+    if (layerToGroupName.has(e.layer)) {
+      savedLayerVisibility[layerToGroupName.get(e.layer)] = (e.type === 'layeradd');
+      if (e.type === 'layeradd') {
+        applyLayerOrder();
+      }
+      syncLegendControl();
+      refreshGallery();
+    }
+  });
+
+  // Make sure clusters always show up above points
+  // Default z-index for markers is 600, 650 is where tooltipPane z-index starts
+  map.createPane('selectedMarker').style.zIndex = 620;
+  map.createPane('clusters'      ).style.zIndex = 610;
+  map.createPane('otherMarkers'  ).style.zIndex = 600;
+
+  // Files dropped on the map are imported while the import control is shown
+  const container = map.getContainer();
+  container.addEventListener('dragover', function (e) {
+    if (importControl) { e.preventDefault(); }
+  });
+  container.addEventListener('drop', function (e) {
+    if (!importControl || !e.dataTransfer?.files?.length) { return; }
+    e.preventDefault();
+    importFile(e.dataTransfer.files[0]);
+  });
+
+  // Load the attachments of feature popups; their thumbnails open the lightbox
+  map.on('popupopen', function (e) {
+    const el = e.popup.getElement();
+    loadAttachments(el);
+    const thumbs = el ? [...el.querySelectorAll('img.attachment-thumb')] : [];
+    const images = thumbs.map(img => ({ id: Number(img.dataset.attachmentId), name: img.alt }));
+    thumbs.forEach((img, i) => { img.onclick = () => showLightbox(images, i); });
+  });
+
+  // Wire the "Edit" button of feature popups
+  map.on('popupopen', function (e) {
+    const button = e.popup.getElement()?.querySelector('.popup-edit-button');
+    if (!button) { return; }
+    button.onclick = () => {
+      map.closePopup(e.popup);
+      editRecordFromPopup(Number(button.dataset.rowId));
     };
-    const doCancel = () => { overlay.remove(); resolve(null); };
+  });
 
-    cancelBtn.onclick = doCancel;
-    saveBtn.onclick = doSave;
+  // Hide the snap mark once the vertex or marker has been placed
+  map.on('draw:drawvertex draw:drawstop draw:editvertex draw:editmove draw:editstop', function () {
+    showSnapIndicator(null);
+  });
 
-    overlay.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter' && e.target.tagName !== 'SELECT') { doSave(); }
-      if (e.key === 'Escape') { doCancel(); }
-    });
+  // A geometry tool's drawing was finished or cancelled
+  map.on('draw:drawstop', function () {
+    geometryToolDraw = null;
+  });
 
-    buttons.appendChild(cancelBtn);
-    buttons.appendChild(saveBtn);
-    box.appendChild(buttons);
-    overlay.appendChild(box);
-    document.body.appendChild(overlay);
+  map.on('draw:deleted', onDrawDeleted);
+  map.on('draw:edited', onDrawEdited);
+  map.on('draw:created', onDrawCreated);
 
-    setTimeout(() => {
-      const first = box.querySelector('input:not([type=checkbox]), select');
-      if (first) { first.focus(); }
-    }, 0);
+  amap = map;
+  return map;
+}
+
+// Centre and radius of a drawn or edited circle (see rowCircle), or null for other layers.
+function layerCircle(layer) {
+  if (!(layer instanceof L.Circle)) { return null; }
+  const center = layer.getLatLng();
+  return {
+    center: [L.Util.formatNum(center.lng, 7), L.Util.formatNum(center.lat, 7)],
+    radius: L.Util.formatNum(layer.getRadius(), 2),
+  };
+}
+
+// WGS84 geometry of a drawn or edited layer, positions rounded to `precision` decimals.
+// GeoJSON has no circles, so circles become polygons of circleSegments vertices.
+function layerGeometry(layer, precision) {
+  const circle = layerCircle(layer);
+  return circle ? circlePolygon(circle, circleSegments, precision) : layer.toGeoJSON(precision).geometry;
+}
+
+// Cell value for a drawn or edited layer, in the format and coordinate system of `sample`
+// (see formatGeometryValue). Leaflet rounds toGeoJSON() output to 6 decimals (~10 cm), so
+// keep full precision when the geometry gets reprojected. With circleProperties, a circle
+// is stored as a Feature whose properties hold its centre and radius (GeoJSON only).
+function layerGeometryValue(layer, sample) {
+  const projected = !!getCrsConverter(geometryCrs(parseGeometryValue(sample), tableCrs));
+  const geometry = layerGeometry(layer, projected ? 15 : undefined);
+  const circle = layerCircle(layer);
+  const isWKT = typeof sample === 'string' && WKT_PATTERN.test(sample);
+  return formatGeometryValue(circle && circleProperties && !isWKT
+    ? { type: 'Feature', geometry, properties: circle } : geometry, sample);
+}
+
+async function onDrawDeleted(e) {
+  const actions = [];
+  e.layers.eachLayer(function(layer) {
+    const rowId = layer._gristRowId;
+    if (!rowId || !selectedTableId) { return; }
+    actions.push(['RemoveRecord', selectedTableId, rowId]);
+  });
+  if (actions.length === 0) { return; }
+  try {
+    await grist.docApi.applyUserActions(actions);
+  } catch (err) {
+    console.error('Error deleting features:', err);
+  }
+}
+
+async function onDrawEdited(e) {
+  const mappings = currentMappings;
+  const actions = [];
+  e.layers.eachLayer(function(layer) {
+    const rowId = layer._gristRowId;
+    if (!rowId || !selectedTableId || !mappings || !mappings[GeoJSON]) { return; }
+    actions.push(['UpdateRecord', selectedTableId, rowId, {
+      [mappings[GeoJSON]]: layerGeometryValue(layer, parseValue(rawRecordsById[rowId]?.[mappings[GeoJSON]])),
+      ...measurementFields(mappings, layerGeometry(layer)),
+      ...circleFields(mappings, layerCircle(layer)),
+    }]);
   });
+  if (actions.length === 0) { return; }
+  try {
+    await grist.docApi.applyUserActions(actions);
+  } catch (err) {
+    console.error('Error saving edited features:', err);
+  }
 }
 
-// Function to clear last added markers. Used to clear the map when new record is selected.
-let clearMarkers = () => {};
-let clearGeoJSONLayers = () => {};
+// Ask for the "Fields to fill on new shape" columns of a new record. Returns the values
+// to add ({} when none are mapped), or null if the user cancelled.
+async function promptNewShapeFields(mappings) {
+  const fieldMappings = (NewShapeFields in mappings) ? mappings[NewShapeFields] : null;
+  const colIds = fieldMappings
+    ? (Array.isArray(fieldMappings) ? fieldMappings : [fieldMappings]).filter(Boolean)
+    : [];
+  if (colIds.length === 0) { return {}; }
+  const fieldConfigs = await fetchDrawFieldConfigs(colIds);
+  return showDrawModal(fieldConfigs);
+}
 
-let markers = [];
-let geoJSONLayers = {};
-let geoJSONStyles = {};
-let labelTooltipRefs = []; // [{sublayer, opts}] — for zoom-dependent label updates
-let savedLayerVisibility = {}; // layerName → boolean; persists layer toggle state across data updates
-let savedMapView = null; // { center, zoom } — persisted across updateMap calls via moveend event
-let updateMapSeq = 0; // incremented on each updateMap call; async callbacks check this to self-cancel if stale
+async function onDrawCreated(e) {
+  if (geometryToolDraw) {
+    const { onDrawn } = geometryToolDraw;
+    geometryToolDraw = null;
+    await onDrawn(e.layer);
+    return;
+  }
+  const mappings = currentMappings;
+  if (!selectedTableId || !mappings || !mappings[GeoJSON]) { return; }
+  const geometryValue = layerGeometryValue(e.layer, sampleColumnValue(mappings[GeoJSON]));
+  const extraValues = await promptNewShapeFields(mappings);
+  if (extraValues === null) { return; } // user cancelled
+  try {
+    const result = await grist.docApi.applyUserActions([['AddRecord', selectedTableId, null, {
+      [mappings[GeoJSON]]: geometryValue,
+      ...measurementFields(mappings, layerGeometry(e.layer)),
+      ...circleFields(mappings, layerCircle(e.layer)),
+      ...extraValues,
+    }]]);
+    if (!extraValues[mappings[Address]]) {
+      await reverseGeocodeNewRecord(result?.retValues?.[0], e.layer.toGeoJSON(), mappings);
+    }
+  } catch (err) {
+    console.error('Error saving drawn feature:', err);
+  }
+}
+
+// "Edit" in a feature popup: edit the row's Name, Popup and "Fields to fill on new shape"
+// columns (formula columns excluded) in the new shape form, pre-filled with its values.
+async function editRecordFromPopup(rowId) {
+  const mappings = defaultMapping(null, currentMappings);
+  const rawRec = rawRecordsById[rowId];
+  if (!selectedTableId || !rawRec) { return; }
+  const asList = (m) => (Array.isArray(m) ? m : [m]);
+  const writable = await fetchWritableColumnIds();
+  const colIds = [...new Set([mappings[Name], ...asList(mappings[Popup]), ...asList(mappings[NewShapeFields])])]
+    .filter(colId => colId && writable.includes(colId));
+  if (colIds.length === 0) {
+    showMessageModal('None of the columns shown in the popup can be edited.');
+    return;
+  }
+  const fieldConfigs = await fetchDrawFieldConfigs(colIds);
+  const name = parseValue(rawRec[mappings[Name]]);
+  await showDrawModal(fieldConfigs, rawRec, name ? 'Edit ' + name : 'Edit',
+    values => grist.docApi.applyUserActions([['UpdateRecord', selectedTableId, rowId, values]]));
+}
+
+// Rows the geometry tools work on: the spatial selection, else the row under the cursor.
+function geometryToolRowIds() {
+  const ids = spatialSelection ? [...spatialSelection] : (selectedRowId ? [String(selectedRowId)] : []);
+  return ids.filter(id => renderedFeatures[id]).map(Number);
+}
+
+// WGS84 geometry of a rendered row.
+function rowGeometry(rowId) {
+  const geojson = renderedFeatures[rowId].geojson;
+  return geojson?.type === 'Feature' ? geojson.geometry : geojson;
+}
+
+// GeoJSON and Area/Length/Perimeter cell values of a WGS84 geometry, the geometry in the
+// format of `sample` (see formatGeometryValue). The geometry is no circle any more, so the
+// CircleCenter/CircleRadius cells are cleared.
+function geometryCellFields(mappings, geometry, sample) {
+  return {
+    [mappings[GeoJSON]]: formatGeometryValue(geometry, sample),
+    ...measurementFields(mappings, geometry),
+    ...circleFields(mappings, null),
+  };
+}
+
+// Cells of a raw record, encoded for a user action, to copy them to a new row.
+function copiedCellValues(rawRec, colIds) {
+  const values = {};
+  for (const colId of colIds) {
+    const value = rawRec[colId];
+    if (value instanceof Date) { values[colId] = cellSeconds(value); }
+    else if (Array.isArray(value)) { values[colId] = ['L', ...cellList(value)]; }
+    else if (value === null || typeof value !== 'object') { values[colId] = value; }
+  }
+  return values;
+}
+
+// Let the user draw a line or polygon for a geometry tool, then call onDrawn(layer)
+// instead of adding it as a new record (see onDrawCreated).
+function startGeometryToolDraw(Handler, onDrawn) {
+  if (geometryToolDraw) { geometryToolDraw.handler.disable(); }
+  const handler = new Handler(amap);
+  geometryToolDraw = { handler, onDrawn };
+  handler.enable();
+}
+
+// "Split": cut the selected polygons and lines along a line drawn on the map. The first
+// piece stays in the row; every other piece gets a new row with a copy of the row's cells.
+function splitSelectedFeatures() {
+  const rowIds = geometryToolRowIds().filter(id => renderedFeatures[id].kind !== 'point');
+  if (rowIds.length === 0) {
+    showMessageModal('Select the polygons or lines to split first.');
+    return;
+  }
+  startGeometryToolDraw(L.Draw.Polyline, async (layer) => {
+    const mappings = currentMappings;
+    const cutter = layer.getLatLngs().map(ll => [ll.lng, ll.lat]);
+    const computed = [mappings[GeoJSON], mappings[Area], mappings[Length], mappings[Perimeter],
+      mappings[CircleCenter], mappings[CircleRadius]];
+    const copiedColIds = (await fetchWritableColumnIds()).filter(colId => !computed.includes(colId));
+    const actions = [];
+    try {
+      for (const rowId of rowIds) {
+        const pieces = splitGeometry(rowGeometry(rowId), cutter);
+        if (!pieces) { continue; }
+        const rawRec = rawRecordsById[rowId];
+        const sample = parseValue(rawRec?.[mappings[GeoJSON]]);
+        actions.push(['UpdateRecord', selectedTableId, rowId, geometryCellFields(mappings, pieces[0], sample)]);
+        const copied = copiedCellValues(rawRec || {}, copiedColIds);
+        for (const piece of pieces.slice(1)) {
+          actions.push(['AddRecord', selectedTableId, null, { ...copied, ...geometryCellFields(mappings, piece, sample) }]);
+        }
+      }
+    } catch (err) {
+      showMessageModal(err.message);
+      return;
+    }
+    if (actions.length === 0) {
+      showMessageModal('The line does not cut across any of the selected features.');
+      return;
+    }
+    try {
+      await grist.docApi.applyUserActions(actions);
+    } catch (err) {
+      console.error('Error splitting features:', err);
+    }
+  });
+}
+
+// "Merge": combine the selected polygons into one, kept in the row under the cursor (or the
+// first selected row); the other rows are deleted. With Turf.js, shared borders and overlaps
+// are dissolved; without it the polygons are only grouped into a MultiPolygon.
+async function mergeSelectedFeatures() {
+  const mappings = currentMappings;
+  const rowIds = geometryToolRowIds().filter(id => geometryParts(rowGeometry(id))?.kind === 'polygon');
+  if (rowIds.length < 2) {
+    showMessageModal('Select two or more polygons to merge first.');
+    return;
+  }
+  const dissolve = typeof turf !== 'undefined';
+  if (!await showMessageModal(`Merge ${rowIds.length} polygons into one? The other ${rowIds.length - 1} rows will be deleted.` +
+    (dissolve ? '' : ' Their borders are kept: Turf.js, needed to dissolve them, is not loaded.'), 'Merge')) {
+    return;
+  }
+  const keptId = rowIds.includes(selectedRowId) ? selectedRowId : rowIds[0];
+  const parts = rowIds.flatMap(id => geometryParts(rowGeometry(id)).parts);
+  let merged = { type: 'MultiPolygon', coordinates: parts };
+  if (dissolve) {
+    try {
+      merged = turf.union(turf.featureCollection(parts.map(part => turf.polygon(part))))?.geometry;
+    } catch (err) {
+      console.error('Error dissolving polygons:', err);
+      merged = null;
+    }
+    if (!merged) {
+      showMessageModal('The polygons could not be merged: their shapes are invalid.');
+      return;
+    }
+  }
+  const sample = parseValue(rawRecordsById[keptId]?.[mappings[GeoJSON]]);
+  const actions = [['UpdateRecord', selectedTableId, keptId, geometryCellFields(mappings, merged, sample)]];
+  for (const rowId of rowIds) {
+    if (rowId !== keptId) { actions.push(['RemoveRecord', selectedTableId, rowId]); }
+  }
+  try {
+    await grist.docApi.applyUserActions(actions);
+    if (spatialSelection) { setSpatialSelection([keptId]); }
+  } catch (err) {
+    console.error('Error merging features:', err);
+  }
+}
+
+// "Hole": cut a polygon drawn on the map out of the selected polygon it lies in.
+function cutHoleInSelectedFeatures() {
+  const rowIds = geometryToolRowIds().filter(id => renderedFeatures[id].kind === 'polygon');
+  if (rowIds.length === 0) {
+    showMessageModal('Select the polygon to cut a hole in first.');
+    return;
+  }
+  startGeometryToolDraw(L.Draw.Polygon, async (layer) => {
+    const mappings = currentMappings;
+    const ring = closeRing(layer.getLatLngs()[0].map(ll => [ll.lng, ll.lat]));
+    const actions = [];
+    for (const rowId of rowIds) {
+      const geometry = addHoleToGeometry(rowGeometry(rowId), ring);
+      if (!geometry) { continue; }
+      const sample = parseValue(rawRecordsById[rowId]?.[mappings[GeoJSON]]);
+      actions.push(['UpdateRecord', selectedTableId, rowId, geometryCellFields(mappings, geometry, sample)]);
+    }
+    if (actions.length === 0) {
+      showMessageModal('Draw the hole inside one of the selected polygons, clear of its other holes.');
+      return;
+    }
+    try {
+      await grist.docApi.applyUserActions(actions);
+    } catch (err) {
+      console.error('Error cutting hole:', err);
+    }
+  });
+}
+
+// "Buffer": add a new row holding the polygon within a given distance of each selected
+// feature (needs Turf.js). The new shape form is shown once for all of them.
+async function bufferSelectedFeatures() {
+  const mappings = currentMappings;
+  if (typeof turf === 'undefined') {
+    showMessageModal('Buffers need Turf.js, which is not loaded.');
+    return;
+  }
+  const rowIds = geometryToolRowIds();
+  if (rowIds.length === 0) {
+    showMessageModal('Select the features to buffer first.');
+    return;
+  }
+  const unit = LENGTH_UNITS[lengthUnit] || LENGTH_UNITS.m;
+  const answer = await showDrawModal([{ colId: 'distance', label: `Buffer distance (${unit.label})`, type: 'Numeric' }],
+    { distance: lastBufferDistance }, 'Buffer');
+  if (answer === null) { return; } // user cancelled
+  const distance = answer.distance;
+  if (!(distance > 0)) {
+    showMessageModal('The buffer distance must be a positive number.');
+    return;
+  }
+  lastBufferDistance = distance;
+  const extraValues = await promptNewShapeFields(mappings);
+  if (extraValues === null) { return; } // user cancelled
+  const actions = [];
+  for (const rowId of rowIds) {
+    const buffer = turf.buffer(rowGeometry(rowId), distance * unit.factor, { units: 'meters' });
+    if (!buffer) { continue; }
+    const sample = parseValue(rawRecordsById[rowId]?.[mappings[GeoJSON]]);
+    actions.push(['AddRecord', selectedTableId, null, {
+      ...geometryCellFields(mappings, buffer.geometry, sample),
+      ...extraValues,
+    }]);
+  }
+  if (actions.length === 0) { return; }
+  try {
+    await grist.docApi.applyUserActions(actions);
+  } catch (err) {
+    console.error('Error adding buffers:', err);
+  }
+}
+
+// Longitude/Latitude cell values for a WGS84 position, in the table's coordinate system.
+function coordinateFields(mappings, latlng) {
+  const [x, y] = geoJSONFromWGS84({ type: 'Point', coordinates: [latlng.lng, latlng.lat] }, tableCrs).coordinates;
+  return { [mappings[Longitude]]: x, [mappings[Latitude]]: y };
+}
+
+// A coordinate-mode marker was dragged: write its new position to Longitude/Latitude.
+async function onMarkerDragged(e) {
+  const marker = e.target;
+  const rowId = marker.options.id;
+  const mappings = defaultMapping(null, currentMappings);
+  if (!selectedTableId || !rowId) { return; }
+  try {
+    await grist.docApi.applyUserActions([['UpdateRecord', selectedTableId, rowId,
+      coordinateFields(mappings, marker.getLatLng())]]);
+  } catch (err) {
+    console.error('Error saving moved marker:', err);
+    // Put the marker back where the table says it is
+    const entry = renderedFeatures[rowId];
+    if (entry) { marker.setLatLng(entry.points[0]); }
+  }
+}
+
+// "Add" in coordinate mode: create a record at the clicked position.
+async function onPointAdded(latlng) {
+  const mappings = defaultMapping(null, currentMappings);
+  if (!selectedTableId) { return; }
+  const extraValues = await promptNewShapeFields(mappings);
+  if (extraValues === null) { return; } // user cancelled
+  try {
+    const result = await grist.docApi.applyUserActions([['AddRecord', selectedTableId, null, {
+      ...coordinateFields(mappings, latlng),
+      ...extraValues,
+    }]]);
+    if (!extraValues[mappings[Address]]) {
+      await reverseGeocodeNewRecord(result?.retValues?.[0],
+        { type: 'Point', coordinates: [latlng.lng, latlng.lat] }, mappings);
+    }
+  } catch (err) {
+    console.error('Error saving new point:', err);
+  }
+}
 
-async function updateMap(data, mappings) {
+// refilter: only the time slider step changed, so the column labels of the last update are
+// reused and additional layers aren't fetched again.
+async function updateMap(data, mappings, refilter) {
   const mySeq = ++updateMapSeq;
   data = data || selectedRecords;
+  mappings = mappings || lastKnownMappings;
   selectedRecords = data;
   if (!data || data.length === 0) {
     showProblem("No data found yet");
@@ -1112,23 +5756,25 @@ async function updateMap(data, mappings) {
   }
 
   // Pre-fetch column labels so popup/tooltip can show display names instead of column IDs
-  const colLabels = await getAllColumnLabels();
+  refilter = refilter && columnLabelsCache !== null; // not while a full update fetches them
+  if (!refilter) { columnLabelsCache = null; }
+  const colLabels = refilter ? columnLabelsCache : await getAllColumnLabels();
+  await syncPopupFieldConfigs(mappings, colLabels);
+  await syncTimeColumnZones(mappings);
+  if (mySeq !== updateMapSeq) { return; } // a newer updateMap call has already taken over
+  columnLabelsCache = colLabels;
 
   // Determine if we're in GeoJSON mode
   const isGeoJSONMode = mappings && GeoJSON in mappings && mappings[GeoJSON];
 
   // Check for mixed column usage and show warning
   if (isGeoJSONMode) {
-    const hasCoordinateColumns = data.some(rec => 
+    const hasCoordinateColumns = data.some(rec =>
       (Latitude in rec && rec[Latitude] != null) ||
-      (Longitude in rec && rec[Longitude] != null) ||
-      (Geocode in rec && rec[Geocode] != null)
+      (Longitude in rec && rec[Longitude] != null)
     );
     if (hasCoordinateColumns) {
-      const warningMsg =
-        "GeoJSON column detected - ignoring Latitude, Longitude, and Geocode columns";
-      console.warn(warningMsg);
-      showProblem(warningMsg + ". GeoJSON takes precedence.");
+      console.warn("GeoJSON column detected - ignoring Latitude and Longitude columns");
     }
   } else {
     if (!(Longitude in data[0] && Latitude in data[0] && Name in data[0])) {
@@ -1140,147 +5786,86 @@ async function updateMap(data, mappings) {
     }
   }
 
-  // Map tile source:
-  //    https://leaflet-extras.github.io/leaflet-providers/preview/
-  //    Old source was natgeo world map, but that only has data up to zoom 16
-  //    (can't zoom in tighter than about 10 city blocks across)
-  //
-  const tiles = L.tileLayer(mapSource, { attribution: DOMPurify.sanitize(mapCopyright, {FORCE_BODY: true}), maxZoom: 22});
-
-  const error = document.querySelector('.error');
-  if (error) { error.remove(); }
-  const isFirstLoad = !savedMapView;
-  if (amap) {
-    try {
-      amap.off();
-      amap.remove();
-    } catch (e) {
-      // ignore
-      console.warn(e);
-    }
+  // Geometries in an unknown coordinate system would be shown in the wrong place
+  const crsProblem = tableCrsProblem();
+  if (crsProblem) {
+    showProblem(crsProblem);
+    return;
   }
-  const map = L.map('map', {
-    wheelPxPerZoomLevel: 90, //px, default 60, slows scrollwheel zoom
-  });
-  // NOTE: tiles are NOT added here. The zoomend handler adds them after setView so we never
-  // go through an "add tiles → setView fires zoomend → immediately remove tiles" cycle,
-  // which was corrupting Leaflet's vector layer rendering state at zoom > 19.
-
-  // Track map view changes to preserve position across data updates
-  map.on('moveend', function () {
-    savedMapView = { center: map.getCenter(), zoom: map.getZoom() };
-  });
-
-  // Show basemap tiles only when zoom ≤ 19. Tiles are added/removed here rather than
-  // at map creation so that the add always happens after the view is established.
-  map.on('zoomend', function () {
-    if (map.getZoom() > 19) {
-      if (map.hasLayer(tiles)) { map.removeLayer(tiles); }
-    } else {
-      if (!map.hasLayer(tiles)) { map.addLayer(tiles); }
-    }
-  });
-
-  // Handle dynamic label sizing and min/max zoom visibility
-  map.on('zoomend', function () {
-    var currentZoom = map.getZoom();
-    for (var i = 0; i < labelTooltipRefs.length; i++) {
-      var ref = labelTooltipRefs[i];
-      var tooltip = ref.sublayer.getTooltip();
-      if (!tooltip) continue;
-      var el = tooltip.getElement();
-      var opts = ref.opts;
-      // Min/max zoom visibility — only applies when element is in DOM
-      if (el) {
-        if (opts.minZoom != null && currentZoom < opts.minZoom) {
-          el.style.display = 'none';
-          continue;
-        }
-        if (opts.maxZoom != null && currentZoom > opts.maxZoom) {
-          el.style.display = 'none';
-          continue;
-        }
-        el.style.display = '';
-      }
-      // Dynamic font size scaling — update content even when element not in DOM yet
-      // (so when a toggled-off layer is re-added, its label already has the correct size)
-      if (opts.dynamicSize && opts.fontSize) {
-        var refZoom = opts.referenceZoom || 18;
-        var dynamicFontSize = opts.fontSize * Math.pow(2, currentZoom - refZoom);
-        tooltip.setContent(buildLabelHtml(ref.labelText, opts, dynamicFontSize));
-      }
-    }
-  });
 
-  // Re-apply label size and visibility when a layer is toggled back on
-  var pendingZoomend = null;
-  map.on('layeradd', function () {
-    if (labelTooltipRefs.length === 0) return;
-    clearTimeout(pendingZoomend);
-    pendingZoomend = setTimeout(function () { map.fireEvent('zoomend'); }, 0);
-  });
+  const isNewMap = !amap;
+  const map = amap || createMap();
+  currentMappings = mappings;
+  syncTileLayer();
 
-  // Make sure clusters always show up above points
-  // Default z-index for markers is 600, 650 is where tooltipPane z-index starts
-  map.createPane('selectedMarker').style.zIndex = 620;
-  map.createPane('clusters'      ).style.zIndex = 610;
-  map.createPane('otherMarkers'  ).style.zIndex = 600;
+  // Time slider: only the rows shown at the chosen date are rendered
+  syncTimeSlider();
+  const shownData = timeSliderActive(mappings) ? data.filter(rec => rowShownAtTime(rec.id, timeSliderDate)) : data;
 
-  const points = []; //L.LatLng[], used for zooming to bounds of all markers
+  // A change of mode, mappings, column labels or CRS affects every feature: start over.
+  const newRenderedKey = JSON.stringify([!!isGeoJSONMode, mappings, colLabels, tableCrs]);
+  if (newRenderedKey !== renderedKey) {
+    clearMainFeatures();
+    renderedKey = newRenderedKey;
+  }
 
-  popups = {}; // Map: {[rowid]: L.marker or L.geoJSON layer}
-  geoJSONLayers = {};
-  geoJSONStyles = {};
-  labelTooltipRefs = [];
-  const mainLayerGroups = {}; // { layerName: L.featureGroup } — from main table's Layer column
   const isLayerMode = isGeoJSONMode && mappings && Layer in mappings && mappings[Layer];
-  // Declared here (not inside the if-block) so the async fetchAdditionalLayers callback
-  // can also register layers and have them tracked by the layeradd/layerremove listener.
-  const layerToGroupName = new Map();
-  // All named layer groups (main + additional) — used by applyLayerOrder
-  const allLayerGroups = {};
-
-  // Apply draw order based on savedLayerVisibility key order.
-  // First key = topmost, last key = bottommost of listed layers.
-  // Layers not listed appear below all listed layers.
-  function applyLayerOrder() {
-    const orderedNames = Object.keys(savedLayerVisibility);
-    for (const name in allLayerGroups) {
-      if (!orderedNames.includes(name) && map.hasLayer(allLayerGroups[name])) {
-        allLayerGroups[name].bringToFront();
-      }
-    }
-    for (let i = orderedNames.length - 1; i >= 0; i--) {
-      const name = orderedNames[i];
-      if (allLayerGroups[name] && map.hasLayer(allLayerGroups[name])) {
-        allLayerGroups[name].bringToFront();
-      }
-    }
-  }
+  const seen = new Set(); // String(rowId) of every row still rendered after this update
+
+  // Thematic style: classify over all rows of the table (not just `data`, which is a
+  // single row in single mode) so colours don't depend on the current selection.
+  const thematicValue = (id) => parseValue(rawRecordsById[id]?.[thematicConfig.column]);
+  const classifier = thematicConfig?.column
+    ? computeThematicClassifier(thematicConfig, Object.keys(rawRecordsById).map(thematicValue))
+    : null;
+  thematicLegend = classifier ? classifier.classes : [];
+  thematicLegendTitle = classifier
+    ? (thematicConfig.title || colLabels[thematicConfig.column] || thematicConfig.column) : '';
 
-  let editableGroup = null;
   if (isGeoJSONMode) {
     // GeoJSON mode — group features by Layer column value
-    editableGroup = L.featureGroup();
+    if (!editableGroup) { editableGroup = L.featureGroup(); }
+    const newGroupNames = [];
 
-    for (const rec of data) {
-      const { id, name, geojson, style: rawStyle, layer: layerName, label, labelStyle } = getInfo(rec);
+    for (const rec of shownData) {
+      const { id, name, geojson, style: rawStyle, layer: layerName, label, labelStyle,
+        circleCenter, circleRadius } = getInfo(rec);
 
       if (!geojson) {
         continue;
       }
 
+      const groupName = (isLayerMode && layerName) ? String(layerName) : "Default";
+      const thematicStyle = thematicStyleFor(classifier, thematicConfig, classifier && thematicValue(id));
+      const photo = photoMarkers ? (rowPhotos(rawRecordsById[id], mappings)[0]?.id ?? null) : null;
+      const key = JSON.stringify([geojson, rawStyle, thematicStyle, groupName, label, labelStyle,
+        circleCenter, circleRadius, photo]);
+      const popupHtml = buildPopupContent(name, rawRecordsById[id], mappings, colLabels);
+      const tooltipHtml = buildTooltipContent(name, rawRecordsById[id], mappings, colLabels);
+
+      const entry = renderedFeatures[id];
+      if (entry && entry.key === key) {
+        // Geometry and look unchanged: keep the layer, only refresh popup/tooltip content
+        if (entry.popupHtml !== popupHtml || entry.tooltipHtml !== tooltipHtml) {
+          entry.layer.eachLayer(function (l) { bindFeatureContent(l, popupHtml, tooltipHtml); });
+          entry.popupHtml = popupHtml;
+          entry.tooltipHtml = tooltipHtml;
+        }
+        seen.add(String(id));
+        continue;
+      }
+      removeRenderedFeature(id);
+
       let parsedGeoJSON;
       try {
-        parsedGeoJSON = parseGristJson(geojson);
+        parsedGeoJSON = parseGeometryValue(geojson);
       } catch (e) {
         console.error("Invalid GeoJSON for row", id, ":", e);
         continue;
       }
       if (!parsedGeoJSON) { continue; }
-
-      // Extract points for bounds
-      points.push(...extractPointsFromGeoJSON(parsedGeoJSON));
+      parsedGeoJSON = geoJSONToWGS84(parsedGeoJSON, tableCrs);
+      if (!parsedGeoJSON) { continue; } // in a coordinate system that can't be resolved
 
       // Parse and store style for this feature (used when toggling selection)
       let customStyle = {};
@@ -1291,117 +5876,112 @@ async function updateMap(data, mappings) {
           console.error("Invalid Style JSON for row", id, ":", e);
         }
       }
+      // Explicit row style wins over the thematic style
+      customStyle = Object.assign({}, thematicStyle, customStyle);
       if (Object.keys(customStyle).length > 0) { geoJSONStyles[id] = customStyle; }
+      if (photo) { markerPhotos[id] = photo; }
 
-      // Create GeoJSON layer
-      const layer = L.geoJSON(parsedGeoJSON, {
+      // Create GeoJSON layer. Circles are shown as circles (not as the polygon that stores
+      // them), so the draw toolbar edits them as circles.
+      const circle = rowCircle(parsedGeoJSON, circleCenter, circleRadius);
+      const layer = L.geoJSON(circle ? { type: 'Point', coordinates: circle.center } : parsedGeoJSON, {
         style: Object.assign({
           opacity: id == selectedRowId ? 0.6 : 0.3,
           fillOpacity: id == selectedRowId ? 0.6 : 0.3,
         }, customStyle),
         pointToLayer: function (feature, latlng) {
+          if (circle) { return L.circle(latlng, { radius: circle.radius }); }
           return L.marker(latlng, {
-            icon: makePointIcon(customStyle, id == selectedRowId),
+            icon: photo ? makePhotoIcon(photo, id == selectedRowId) : makePointIcon(customStyle, id == selectedRowId),
             pane: id == selectedRowId ? "selectedMarker" : "otherMarkers",
           });
         },
         onEachFeature: function (feature, layer) {
           layer._gristRowId = id;
           editableGroup.addLayer(layer);
-          const popupHtml = buildPopupContent(name, rawRecordsById[id], mappings, colLabels);
-          layer.bindPopup(popupHtml);
-          const tooltipHtml = buildTooltipContent(name, rawRecordsById[id], mappings, colLabels);
-          if (tooltipHtml) {
-            // Use a free-floating tooltip instead of bindTooltip to avoid
-            // conflicting with permanent label tooltips bound to the same layer.
-            const hoverTip = L.tooltip({ opacity: 0.9, className: 'hover-tooltip' });
-            hoverTip.setContent(tooltipHtml);
-            layer.on('mouseover', function (e) { hoverTip.setLatLng(e.latlng).addTo(map); });
-            layer.on('mousemove', function (e) { hoverTip.setLatLng(e.latlng); });
-            layer.on('mouseout',  function ()  { hoverTip.remove(); });
-          }
-          layer.on("click", () => {
+          bindFeatureContent(layer, popupHtml, tooltipHtml);
+          layer.on("click", (e) => {
+            if (selectionControl && e.originalEvent?.shiftKey) {
+              layer.closePopup();
+              toggleSpatialSelection(id);
+              return;
+            }
             selectGeoJSONFeature(id);
           });
         },
       });
 
-      // Add to the appropriate layer group (must be before label block so centroid markers
-      // can also be added to the same group)
-      const groupName = (isLayerMode && layerName) ? String(layerName) : "Default";
+      // Each row gets its own container so its label centroid markers can be removed with it
+      const container = L.featureGroup([layer]);
       if (!mainLayerGroups[groupName]) {
         mainLayerGroups[groupName] = L.featureGroup();
+        newGroupNames.push(groupName);
       }
-      mainLayerGroups[groupName].addLayer(layer);
+      mainLayerGroups[groupName].addLayer(container);
 
       geoJSONLayers[id] = layer;
       popups[id] = layer;
+      renderedFeatures[id] = {
+        key, popupHtml, tooltipHtml, layer, container, groupName,
+        geojson: parsedGeoJSON,
+        kind: geometryKind(parsedGeoJSON),
+        points: extractPointsFromGeoJSON(parsedGeoJSON),
+      };
+      seen.add(String(id));
 
       // Add permanent label tooltip if Label column is mapped.
       if (label) {
-        addLabelToLayer(layer, label, labelStyle, mainLayerGroups[groupName]);
+        addLabelToLayer(layer, label, labelStyle, container);
       }
     }
 
-    // Build reverse-lookup used by the visibility tracker below
-    for (const groupName in mainLayerGroups) {
-      layerToGroupName.set(mainLayerGroups[groupName], groupName);
-      allLayerGroups[groupName] = mainLayerGroups[groupName];
+    // Remove rows that disappeared (or lost their geometry) since the last update
+    for (const id of Object.keys(renderedFeatures)) {
+      if (!seen.has(id)) { removeRenderedFeature(id); }
     }
 
-    // Add all layer groups to the map, then restore previously saved visibility
-    for (const groupName in mainLayerGroups) {
-      map.addLayer(mainLayerGroups[groupName]);
-    }
-    for (const groupName in mainLayerGroups) {
-      if (savedLayerVisibility[groupName] === false) {
-        map.removeLayer(mainLayerGroups[groupName]);
+    // Drop groups whose last feature was removed, then show new ones with saved visibility
+    for (const groupName of Object.keys(mainLayerGroups)) {
+      if (mainLayerGroups[groupName].getLayers().length === 0) {
+        removeNamedLayerGroup(mainLayerGroups[groupName]);
+        delete mainLayerGroups[groupName];
       }
     }
-
-    // Track future user toggles (via layer control checkboxes) so we can restore them
-    // on the next data update. Uses layeradd/layerremove which fire for both
-    // L.control.layers and L.Control.GroupedLayers.
-    map.on('layeradd layerremove', function (e) {
-      if (layerToGroupName.has(e.layer)) {
-        savedLayerVisibility[layerToGroupName.get(e.layer)] = (e.type === 'layeradd');
-        if (e.type === 'layeradd') {
-          applyLayerOrder();
-        }
-      }
-    });
-
-    clearGeoJSONLayers = () => {
-      for (const groupName in mainLayerGroups) {
-        map.removeLayer(mainLayerGroups[groupName]);
-      }
-    };
+    for (const groupName of newGroupNames) {
+      if (mainLayerGroups[groupName]) { addNamedLayerGroup(groupName, mainLayerGroups[groupName]); }
+    }
   } else {
     // Coordinates mode (original behavior)
     // Make this before markerClusterGroup so iconCreateFunction
     // can fetch the currently selected marker from popups by function closure
+    if (!markers) {
+      markers = L.markerClusterGroup({
+        disableClusteringAtZoom: 18,
+        //If markers are very close together, they'd stay clustered even at max zoom
+        //This disables that behavior explicitly for max zoom (18)
+        maxClusterRadius: 30, //px, default 80
+        // default behavior clusters too aggressively. It's nice to see individual markers
+        showCoverageOnHover: true,
+
+        clusterPane: "clusters", //lets us specify z-index, so cluster icons can be on top
+        iconCreateFunction: selectedRowClusterIconFactory(
+          () => popups[selectedRowId],
+        ),
+      });
 
-    markers = L.markerClusterGroup({
-      disableClusteringAtZoom: 18,
-      //If markers are very close together, they'd stay clustered even at max zoom
-      //This disables that behavior explicitly for max zoom (18)
-      maxClusterRadius: 30, //px, default 80
-      // default behavior clusters too aggressively. It's nice to see individual markers
-      showCoverageOnHover: true,
-
-      clusterPane: "clusters", //lets us specify z-index, so cluster icons can be on top
-      iconCreateFunction: selectedRowClusterIconFactory(
-        () => popups[selectedRowId],
-      ),
-    });
-
-    markers.on("click", (e) => {
-      const id = e.layer.options.id;
-      selectMaker(id);
-    });
+      markers.on("click", (e) => {
+        const id = e.layer.options.id;
+        if (selectionControl && e.originalEvent?.shiftKey) {
+          e.layer.closePopup();
+          toggleSpatialSelection(id);
+          return;
+        }
+        selectMaker(id);
+      });
+    }
 
-    for (const rec of data) {
-      const { id, name, lng, lat } = getInfo(rec);
+    for (const rec of shownData) {
+      const { id, name, lng, lat, weight } = getInfo(rec);
       // If the record is in the middle of geocoding, skip it.
       if (String(lng) === "...") {
         continue;
@@ -1410,200 +5990,127 @@ async function updateMap(data, mappings) {
         // Stuff at 0,0 usually indicates bad imports/geocoding.
         continue;
       }
-      const pt = new L.LatLng(lat, lng);
-      points.push(pt);
-
-      const marker = L.marker(pt, {
-        title: name,
-        id: id,
-        icon: id == selectedRowId ? selectedIcon : defaultIcon,
-        pane: id == selectedRowId ? "selectedMarker" : "otherMarkers",
-      });
-
-      const popupHtml = buildPopupContent(name, rawRecordsById[id], mappings, colLabels);
-      marker.bindPopup(popupHtml);
-      markers.addLayer(marker);
-
-      popups[id] = marker;
-    }
-    map.addLayer(markers);
-
-    clearMarkers = () => map.removeLayer(markers);
-  }
-
-  // Fetch and add additional layers from other tables
-  fetchAdditionalLayers().then(async (additionalLayers) => {
-    if (mySeq !== updateMapSeq) { return; } // a newer updateMap call has already taken over
-    const additionalLayerGroups = {};
-
-    if (additionalLayers.length > 0) {
-      // Sort by order (lower = drawn first = behind)
-      additionalLayers.sort((a, b) => a.order - b.order);
-
-      for (const layerConfig of additionalLayers) {
-        const group = L.featureGroup();
-        for (const feat of layerConfig.features) {
-          const featLayer = L.geoJSON(feat.geojson, {
-            interactive: layerConfig.interactive,
-            style: Object.assign({ radius: 8, opacity: 0.5, fillOpacity: 0.3 }, feat.style),
-            pointToLayer: function (feature, latlng) {
-              return L.circleMarker(latlng);
-            },
-            onEachFeature: function (_feature, layer) {
-              if (layerConfig.interactive && feat.name) {
-                layer.bindPopup(DOMPurify.sanitize(String(feat.name)));
-              }
-            },
-          });
-          group.addLayer(featLayer);
-          if (feat.label) {
-            addLabelToLayer(featLayer, feat.label, feat.labelStyle, group);
-          }
-          points.push(...extractPointsFromGeoJSON(feat.geojson));
-        }
-        map.addLayer(group);
-        if (savedLayerVisibility[layerConfig.layerName] === false) {
-          map.removeLayer(group);
-        }
-        // Register AFTER add/remove so the layeradd listener doesn't overwrite savedLayerVisibility
-        layerToGroupName.set(group, layerConfig.layerName);
-        allLayerGroups[layerConfig.layerName] = group;
-        additionalLayerGroups[layerConfig.layerName] = group;
+      seen.add(String(id));
+      // Markers keep the default pin unless a thematic style colours them
+      const thematicStyle = thematicStyleFor(classifier, thematicConfig, classifier && thematicValue(id));
+      let markerStyle = null;
+      if (thematicStyle) {
+        const rowStyle = parseGristJson(getInfo(rec).style);
+        markerStyle = Object.assign({}, thematicStyle, typeof rowStyle === 'object' ? rowStyle : null);
       }
+      const photo = photoMarkers ? (rowPhotos(rawRecordsById[id], mappings)[0]?.id ?? null) : null;
+      const key = JSON.stringify([lat, lng, name, markerStyle, weight, photo]);
+      const popupHtml = buildPopupContent(name, rawRecordsById[id], mappings, colLabels);
 
-      applyLayerOrder();
-
-      // Re-fit bounds with additional points (only on first load)
-      if (isFirstLoad) {
-        try {
-          map.fitBounds(new L.LatLngBounds(points), {maxZoom: 19, padding: [0, 0]});
-        } catch (err) {
-          console.warn('cannot fit bounds');
+      const entry = renderedFeatures[id];
+      if (entry && entry.key === key) {
+        if (entry.popupHtml !== popupHtml) {
+          if (entry.layer) { entry.layer.bindPopup(popupHtml); }
+          entry.popupHtml = popupHtml;
         }
+        continue;
       }
+      removeRenderedFeature(id);
+
+      // Longitude/Latitude hold x/y in the table's coordinate system
+      const [ptLng, ptLat] = geoJSONToWGS84({ type: 'Point', coordinates: [lng, lat] }, tableCrs).coordinates;
+      const pt = new L.LatLng(ptLat, ptLng);
+      if (markerStyle) { markerStyles[id] = markerStyle; }
+      if (photo) { markerPhotos[id] = photo; }
+      // The marker itself is built by syncPointDisplay, see rowMarker
+      renderedFeatures[id] = {
+        key, popupHtml, name, weight, layer: null, kind: 'point', points: [pt],
+        geojson: { type: 'Point', coordinates: [ptLng, ptLat] },
+      };
     }
 
-    // Resolve the display label for the Layer column group name
-    let layerGroupName = 'Layers';
-    if (isLayerMode && mappings && mappings[Layer]) {
-      layerGroupName = await getColumnLabel(String(mappings[Layer]));
+    for (const id of Object.keys(renderedFeatures)) {
+      if (!seen.has(id)) { removeRenderedFeature(id); }
     }
+    const weightCol = mappings && mappings[Weight];
+    syncPointDisplay(weightCol ? (colLabels[String(weightCol)] || String(weightCol)) : null);
+  }
 
-    addLayerControl(map, mainLayerGroups, additionalLayerGroups, isLayerMode, layerGroupName, Object.keys(savedLayerVisibility));
-  }).catch((err) => {
-    console.error("Error loading additional layers:", err);
-    addLayerControl(map, mainLayerGroups, {}, isLayerMode, 'Layers', Object.keys(savedLayerVisibility));
-  });
+  // Move the selected look if the selection changed while the features stayed the same
+  if (highlightedRowId !== selectedRowId) {
+    setRowHighlight(highlightedRowId, false);
+    setRowHighlight(selectedRowId, true);
+    highlightedRowId = popups[selectedRowId] ? selectedRowId : null;
+    if (markers && map.hasLayer(markers)) { markers.refreshClusters(); }
+  }
+
+  syncDrawControl(isGeoJSONMode);
+  syncPointEditControl(isGeoJSONMode);
+  syncGeometryToolsControl(isGeoJSONMode);
+  syncLegendControl();
+  syncExportControl();
+  syncImportControl();
+  syncSelectionControl();
+  syncSearchControl();
+  syncMeasureControl();
+  syncGalleryControl();
+  syncSelectionOverlay();
+  schedulePublishRowsInExtent();
+  publishRowsAtTime();
 
   // Restore previous view if available, otherwise fit to data bounds
-  if (!isFirstLoad) {
+  const needsFit = !savedMapView;
+  if (isNewMap && !needsFit) {
     map.setView(savedMapView.center, savedMapView.zoom);
-  } else {
-    try {
-      map.fitBounds(new L.LatLngBounds(points), {maxZoom: 19, padding: [0, 0]});
-    } catch (err) {
-      console.warn('cannot fit bounds');
-    }
+  } else if (needsFit) {
+    fitMapToData();
   }
 
   // Fire zoomend once to set initial dynamic label sizes (must be after setView/fitBounds)
-  if (labelTooltipRefs.length > 0) {
+  if (labelTooltipRefs.length > 0 && map._loaded) {
     map.fireEvent('zoomend');
   }
 
+  // Resolve the display label for the Layer column group name
+  const layerGroupName = (isLayerMode && mappings[Layer])
+    ? (colLabels[String(mappings[Layer])] || String(mappings[Layer]))
+    : 'Layers';
+
+  // Fetch and add additional layers from other tables
+  if (refilter) {
+    syncLayerControl(isLayerMode, layerGroupName);
+    syncLegendControl();
+  } else {
+    additionalLayersSeq = mySeq;
+    fetchAdditionalLayers().then((additionalLayers) => {
+      if (mySeq !== additionalLayersSeq || amap !== map) { return; } // a newer updateMap call has already taken over
+      syncAdditionalLayers(additionalLayers);
+      // Re-fit bounds with additional points (only on first load)
+      if (needsFit && additionalLayers.length > 0) {
+        fitMapToData();
+      }
+      syncLayerControl(isLayerMode, layerGroupName);
+      syncLegendControl();
+    }).catch((err) => {
+      console.error("Error loading additional layers:", err);
+      if (amap === map) { syncLayerControl(isLayerMode, layerGroupName); }
+    });
+  }
+
   function makeSureSelectedMarkerIsShown() {
     const rowId = selectedRowId;
 
-    if (rowId && popups[rowId]) {
-      const item = popups[rowId];
+    const item = isGeoJSONMode ? popups[rowId] : rowMarker(rowId);
+    if (rowId && item) {
       if (isGeoJSONMode) {
         // For GeoJSON, open popup on the layer
         item.openPopup();
       } else {
         // For markers
         if (!item._icon) {
-          markers.zoomToShowLayer(item);
+          openMarkerPopup(item);
+        } else {
+          item.openPopup();
         }
-        item.openPopup();
       }
     }
   }
 
-  if (isGeoJSONMode && writeAccess && showDrawToolbar) {
-    const drawControl = new L.Control.Draw({
-      draw: {
-        polygon: true,
-        polyline: true,
-        rectangle: true,
-        marker: true,
-        circle: false,
-        circlemarker: false,
-      },
-      edit: {
-        featureGroup: editableGroup,
-        remove: showDeleteToolbar ? {} : false,
-      },
-    });
-    map.addControl(drawControl);
-
-    map.on('draw:deleted', async function(e) {
-      const actions = [];
-      e.layers.eachLayer(function(layer) {
-        const rowId = layer._gristRowId;
-        if (!rowId || !selectedTableId) { return; }
-        actions.push(['RemoveRecord', selectedTableId, rowId]);
-      });
-      if (actions.length === 0) { return; }
-      try {
-        await grist.docApi.applyUserActions(actions);
-      } catch (err) {
-        console.error('Error deleting features:', err);
-      }
-    });
-
-    map.on('draw:edited', async function(e) {
-      const actions = [];
-      e.layers.eachLayer(function(layer) {
-        const rowId = layer._gristRowId;
-        if (!rowId || !selectedTableId || !mappings || !mappings[GeoJSON]) { return; }
-        actions.push(['UpdateRecord', selectedTableId, rowId, {
-          [mappings[GeoJSON]]: JSON.stringify(layer.toGeoJSON().geometry),
-        }]);
-      });
-      if (actions.length === 0) { return; }
-      try {
-        await grist.docApi.applyUserActions(actions);
-      } catch (err) {
-        console.error('Error saving edited features:', err);
-      }
-    });
-
-    map.on('draw:created', async function(e) {
-      if (!selectedTableId || !mappings || !mappings[GeoJSON]) { return; }
-      const geojsonStr = JSON.stringify(e.layer.toGeoJSON().geometry);
-      const fieldMappings = (NewShapeFields in mappings) ? mappings[NewShapeFields] : null;
-      const colIds = fieldMappings
-        ? (Array.isArray(fieldMappings) ? fieldMappings : [fieldMappings]).filter(Boolean)
-        : [];
-      let extraValues = {};
-      if (colIds.length > 0) {
-        const fieldConfigs = await fetchDrawFieldConfigs(colIds);
-        extraValues = await showDrawModal(fieldConfigs);
-        if (extraValues === null) { return; } // user cancelled
-      }
-      try {
-        await grist.docApi.applyUserActions([['AddRecord', selectedTableId, null, {
-          [mappings[GeoJSON]]: geojsonStr,
-          ...extraValues,
-        }]]);
-      } catch (err) {
-        console.error('Error saving drawn feature:', err);
-      }
-    });
-  }
-
-  amap = map;
-
   makeSureSelectedMarkerIsShown();
 }
 
@@ -1612,43 +6119,27 @@ function clearPopupMarker() {
   const marker = popups[selectedRowId];
   if (marker) {
     marker.closePopup();
-    if (marker.setIcon) {
-      // It's a marker
-      marker.setIcon(defaultIcon);
-      marker.pane = "otherMarkers";
-    } else {
-      // It's a GeoJSON layer
-      const prevStyle = geoJSONStyles[selectedRowId] || {};
-      marker.setStyle(Object.assign({
-        opacity: 0.3,
-        fillOpacity: 0.3,
-      }, prevStyle));
-      marker.eachLayer(function (l) {
-        if (l.setIcon) { l.setIcon(makePointIcon(prevStyle, false)); }
-      });
-    }
   }
+  setRowHighlight(highlightedRowId, false);
+  highlightedRowId = null;
 }
 
 function selectMaker(id) {
    // Reset the options from the previously selected marker.
-   const previouslyClicked = popups[selectedRowId];
-   if (previouslyClicked) {
-     previouslyClicked.setIcon(defaultIcon);
-     previouslyClicked.pane = 'otherMarkers';
-   }
-   const marker = popups[id];
+   setRowHighlight(highlightedRowId, false);
+   highlightedRowId = null;
+   const marker = rowMarker(id);
    if (!marker) { return null; }
 
    // Remember the new selected marker.
    selectedRowId = id;
+   highlightedRowId = id;
 
    // Set the options for the newly selected marker.
-   marker.setIcon(selectedIcon);
-   marker.pane = 'selectedMarker';
+   setRowHighlight(id, true);
 
-   // Rerender markers in this cluster
-   markers.refreshClusters();
+   // Rerender markers in this cluster (not shown while points are drawn as a heatmap or hexagons)
+   if (amap.hasLayer(markers)) { markers.refreshClusters(); }
 
    // Update the selected row in Grist.
    grist.setCursorPos?.({rowId: id}).catch(() => {});
@@ -1658,19 +6149,8 @@ function selectMaker(id) {
 
 function selectGeoJSONFeature(id) {
   // Reset opacity for previously selected feature
-  const previouslyClicked = geoJSONLayers[selectedRowId];
-  if (previouslyClicked) {
-    const prevStyle = geoJSONStyles[selectedRowId] || {};
-    previouslyClicked.setStyle(Object.assign({
-      opacity: 0.3,
-      fillOpacity: 0.3,
-    }, prevStyle));
-    previouslyClicked.eachLayer(function (layer) {
-      if (layer.setIcon) {
-        layer.setIcon(makePointIcon(geoJSONStyles[selectedRowId] || {}, false));
-      }
-    });
-  }
+  setRowHighlight(highlightedRowId, false);
+  highlightedRowId = null;
 
   const layer = geoJSONLayers[id];
   if (!layer) {
@@ -1679,18 +6159,10 @@ function selectGeoJSONFeature(id) {
 
   // Remember the new selected feature
   selectedRowId = id;
+  highlightedRowId = id;
 
   // Set style for newly selected feature
-  const newStyle = geoJSONStyles[id] || {};
-  layer.setStyle(Object.assign({
-    opacity: 0.6,
-    fillOpacity: 0.6,
-  }, newStyle));
-  layer.eachLayer(function (l) {
-    if (l.setIcon) {
-      l.setIcon(makePointIcon(newStyle, true));
-    }
-  });
+  setRowHighlight(id, true);
 
   // Update the selected row in Grist
   grist.setCursorPos?.({ rowId: id }).catch(() => {});
@@ -1736,11 +6208,23 @@ function defaultMapping(record, mappings) {
       [Address]: hasCol(Address, record) ? Address : null,
       [GeocodedAddress]: hasCol(GeocodedAddress, record) ? GeocodedAddress : null,
       [Geocode]: hasCol(Geocode, record) ? Geocode : null,
+      [ReverseGeocode]: hasCol(ReverseGeocode, record) ? ReverseGeocode : null,
+      [GeocodeStatus]: hasCol(GeocodeStatus, record) ? GeocodeStatus : null,
       [Style]: hasCol(Style, record) ? Style : null,
       [Layer]: hasCol(Layer, record) ? Layer : null,
       [Popup]: hasCol(Popup, record) ? Popup : null,
       [Label]: hasCol(Label, record) ? Label : null,
       [LabelStyle]: hasCol(LabelStyle, record) ? LabelStyle : null,
+      [Weight]: hasCol(Weight, record) ? Weight : null,
+      [Area]: hasCol(Area, record) ? Area : null,
+      [Length]: hasCol(Length, record) ? Length : null,
+      [Perimeter]: hasCol(Perimeter, record) ? Perimeter : null,
+      [CircleCenter]: hasCol(CircleCenter, record) ? CircleCenter : null,
+      [CircleRadius]: hasCol(CircleRadius, record) ? CircleRadius : null,
+      [PopupTemplate]: hasCol(PopupTemplate, record) ? PopupTemplate : null,
+      [StartDate]: hasCol(StartDate, record) ? StartDate : null,
+      [EndDate]: hasCol(EndDate, record) ? EndDate : null,
+      [SingleDate]: hasCol(SingleDate, record) ? SingleDate : null,
     };
   }
   return mappings;
@@ -1780,8 +6264,7 @@ grist.onRecord((record, mappings) => {
       if (!marker) {
         return;
       }
-      markers.zoomToShowLayer(marker);
-      marker.openPopup();
+      openMarkerPopup(marker);
     }
   }
 });
@@ -1792,6 +6275,7 @@ grist.onRecords((data, mappings) => {
   const effectiveMappings = mappings || lastKnownMappings;
   rawRecordsById = {};
   for (const rec of data) { rawRecordsById[rec.id] = rec; }
+  recordsVersion++; // referenced rows and attachments may have changed too
   // When effectiveMappings is available, use manualMapData directly — it applies the mapping
   // explicitly and doesn't depend on grist.mapColumnNames's internal _mappings state, which
   // Grist may clear to null on data-only updates (causing mapColumnNames to return null or
@@ -1812,10 +6296,7 @@ grist.onRecords((data, mappings) => {
 
 grist.onNewRecord(() => {
   if (mode === 'single') {
-    clearMarkers();
-    clearGeoJSONLayers();
-    clearMarkers = () => {};
-    clearGeoJSONLayers = () => {};
+    clearMainFeatures();
   } else {
     clearPopupMarker();
   }
@@ -1823,6 +6304,10 @@ grist.onNewRecord(() => {
 })
 
 function updateMode(mappings) {
+  // Leaving extent mode: stop filtering linked widgets (unless a spatial selection does)
+  if (mode !== 'extent' && !spatialSelection && !publishesTimeRows()) {
+    grist.setSelectedRows?.(null).catch(() => {});
+  }
   if (mode === "single") {
     if (lastRecord) {
       selectedRowId = lastRecord.id;
@@ -1838,16 +6323,34 @@ function onEditOptions() {
   popup.style.display = 'block';
   const btnClose = document.getElementById("btnClose");
   btnClose.onclick = () => popup.style.display = 'none';
-  const checkbox = document.getElementById('cbxMode');
-  checkbox.checked = mode === 'multi' ? true : false;
-  checkbox.onchange = async (e) => {
-    const newMode = e.target.checked ? 'multi' : 'single';
+  const selMode = document.getElementById('selMode');
+  selMode.value = mode;
+  selMode.onchange = async (e) => {
+    const newMode = e.target.value;
     if (newMode != mode) {
       mode = newMode;
       await grist.setOption('mode', mode);
       updateMode();
     }
   }
+  const selPointDisplay = document.getElementById('selPointDisplay');
+  selPointDisplay.value = pointDisplay;
+  selPointDisplay.onchange = async (e) => {
+    pointDisplay = e.target.value;
+    await grist.setOption('pointDisplay', pointDisplay);
+  };
+  const selHexbinAggregate = document.getElementById('selHexbinAggregate');
+  selHexbinAggregate.value = hexbinAggregate;
+  selHexbinAggregate.onchange = async (e) => {
+    hexbinAggregate = e.target.value;
+    await grist.setOption('hexbinAggregate', hexbinAggregate);
+  };
+  const hexbinSizeInput = document.getElementById('hexbinSize');
+  hexbinSizeInput.value = hexbinSize;
+  hexbinSizeInput.onchange = async (e) => {
+    hexbinSize = Number(e.target.value) || 20;
+    await grist.setOption('hexbinSize', hexbinSize);
+  };
   const cbxPrint = document.getElementById('cbxPrintButton');
   cbxPrint.checked = showPrintButton;
   cbxPrint.onchange = async (e) => {
@@ -1855,19 +6358,163 @@ function onEditOptions() {
     await grist.setOption('showPrintButton', showPrintButton);
     applyPrintButtonVisibility();
   };
+  const cbxLegend = document.getElementById('cbxLegend');
+  cbxLegend.checked = showLegend;
+  cbxLegend.onchange = async (e) => {
+    showLegend = e.target.checked;
+    await grist.setOption('showLegend', showLegend);
+  };
+  const cbxExport = document.getElementById('cbxExportButton');
+  cbxExport.checked = showExportButton;
+  cbxExport.onchange = async (e) => {
+    showExportButton = e.target.checked;
+    await grist.setOption('showExportButton', showExportButton);
+  };
+  const cbxImport = document.getElementById('cbxImportButton');
+  cbxImport.checked = showImportButton;
+  cbxImport.onchange = async (e) => {
+    showImportButton = e.target.checked;
+    await grist.setOption('showImportButton', showImportButton);
+  };
+  const cbxSelection = document.getElementById('cbxSelectionTool');
+  cbxSelection.checked = showSelectionTool;
+  cbxSelection.onchange = async (e) => {
+    showSelectionTool = e.target.checked;
+    await grist.setOption('showSelectionTool', showSelectionTool);
+  };
+  const cbxSearch = document.getElementById('cbxSearch');
+  cbxSearch.checked = showSearch;
+  cbxSearch.onchange = async (e) => {
+    showSearch = e.target.checked;
+    await grist.setOption('showSearch', showSearch);
+  };
+  const cbxMeasure = document.getElementById('cbxMeasureTool');
+  cbxMeasure.checked = showMeasureTool;
+  cbxMeasure.onchange = async (e) => {
+    showMeasureTool = e.target.checked;
+    await grist.setOption('showMeasureTool', showMeasureTool);
+  };
+  const selAreaUnit = document.getElementById('selAreaUnit');
+  selAreaUnit.value = areaUnit;
+  selAreaUnit.onchange = async (e) => {
+    areaUnit = e.target.value;
+    await grist.setOption('areaUnit', areaUnit);
+  };
+  const selLengthUnit = document.getElementById('selLengthUnit');
+  selLengthUnit.value = lengthUnit;
+  selLengthUnit.onchange = async (e) => {
+    lengthUnit = e.target.value;
+    await grist.setOption('lengthUnit', lengthUnit);
+  };
+  const cbxPopupEdit = document.getElementById('cbxPopupEdit');
+  cbxPopupEdit.checked = showPopupEdit;
+  cbxPopupEdit.onchange = async (e) => {
+    showPopupEdit = e.target.checked;
+    await grist.setOption('showPopupEdit', showPopupEdit);
+  };
+  const cbxGallery = document.getElementById('cbxGallery');
+  cbxGallery.checked = showGallery;
+  cbxGallery.onchange = async (e) => {
+    showGallery = e.target.checked;
+    await grist.setOption('showGallery', showGallery);
+  };
+  const cbxPhotoMarkers = document.getElementById('cbxPhotoMarkers');
+  cbxPhotoMarkers.checked = photoMarkers;
+  cbxPhotoMarkers.onchange = async (e) => {
+    photoMarkers = e.target.checked;
+    await grist.setOption('photoMarkers', photoMarkers);
+  };
+  const cbxGeometryTools = document.getElementById('cbxGeometryTools');
+  cbxGeometryTools.checked = showGeometryTools;
+  cbxGeometryTools.onchange = async (e) => {
+    showGeometryTools = e.target.checked;
+    await grist.setOption('showGeometryTools', showGeometryTools);
+  };
+  const cbxTimeSlider = document.getElementById('cbxTimeSlider');
+  cbxTimeSlider.checked = showTimeSlider;
+  cbxTimeSlider.onchange = async (e) => {
+    showTimeSlider = e.target.checked;
+    await grist.setOption('showTimeSlider', showTimeSlider);
+  };
+  const selTimeStep = document.getElementById('selTimeStep');
+  selTimeStep.value = timeStep;
+  selTimeStep.onchange = async (e) => {
+    timeStep = e.target.value;
+    await grist.setOption('timeStep', timeStep);
+  };
+  const cbxPublishTime = document.getElementById('cbxPublishTime');
+  cbxPublishTime.checked = publishTimeRows;
+  cbxPublishTime.onchange = async (e) => {
+    publishTimeRows = e.target.checked;
+    await grist.setOption('publishTimeRows', publishTimeRows);
+  };
+  const cbxOverzoom = document.getElementById('cbxOverzoom');
+  cbxOverzoom.checked = overzoomTiles;
+  cbxOverzoom.onchange = async (e) => {
+    overzoomTiles = e.target.checked;
+    await grist.setOption('overzoomTiles', overzoomTiles);
+  };
+  const tileMaxNativeZoomInput = document.getElementById('tileMaxNativeZoom');
+  tileMaxNativeZoomInput.value = tileMaxNativeZoom;
+  tileMaxNativeZoomInput.onchange = async (e) => {
+    tileMaxNativeZoom = parseZoomSetting(e.target.value, 19);
+    await grist.setOption('tileMaxNativeZoom', tileMaxNativeZoom);
+  };
+  const tileMaxZoomInput = document.getElementById('tileMaxZoom');
+  tileMaxZoomInput.value = tileMaxZoom;
+  tileMaxZoomInput.onchange = async (e) => {
+    tileMaxZoom = parseZoomSetting(e.target.value, 22);
+    await grist.setOption('tileMaxZoom', tileMaxZoom);
+  };
+  const circleSegmentsInput = document.getElementById('circleSegments');
+  circleSegmentsInput.value = circleSegments;
+  circleSegmentsInput.onchange = async (e) => {
+    circleSegments = Math.min(360, Math.max(8, Math.round(Number(e.target.value) || 64)));
+    await grist.setOption('circleSegments', circleSegments);
+  };
+  const cbxCircleProperties = document.getElementById('cbxCircleProperties');
+  cbxCircleProperties.checked = circleProperties;
+  cbxCircleProperties.onchange = async (e) => {
+    circleProperties = e.target.checked;
+    await grist.setOption('circleProperties', circleProperties);
+  };
   const cbxDraw = document.getElementById('cbxDrawToolbar');
   cbxDraw.checked = showDrawToolbar;
   cbxDraw.onchange = async (e) => {
     showDrawToolbar = e.target.checked;
     await grist.setOption('showDrawToolbar', showDrawToolbar);
   };
+  const snapToleranceInput = document.getElementById('snapTolerance');
+  snapToleranceInput.value = snapTolerance;
+  snapToleranceInput.onchange = async (e) => {
+    snapTolerance = Math.max(0, Number(e.target.value) || 0);
+    await grist.setOption('snapTolerance', snapTolerance);
+  };
+  const cbxEditSharedBoundaries = document.getElementById('cbxEditSharedBoundaries');
+  cbxEditSharedBoundaries.checked = editSharedBoundaries;
+  cbxEditSharedBoundaries.onchange = async (e) => {
+    editSharedBoundaries = e.target.checked;
+    await grist.setOption('editSharedBoundaries', editSharedBoundaries);
+  };
+  const cbxReverseGeocode = document.getElementById('cbxReverseGeocode');
+  cbxReverseGeocode.checked = reverseGeocodeNewShapes;
+  cbxReverseGeocode.onchange = async (e) => {
+    reverseGeocodeNewShapes = e.target.checked;
+    await grist.setOption('reverseGeocodeNewShapes', reverseGeocodeNewShapes);
+  };
+  const cbxGeocodeBoundingBox = document.getElementById('cbxGeocodeBoundingBox');
+  cbxGeocodeBoundingBox.checked = geocodeBoundingBox;
+  cbxGeocodeBoundingBox.onchange = async (e) => {
+    geocodeBoundingBox = e.target.checked;
+    await grist.setOption('geocodeBoundingBox', geocodeBoundingBox);
+  };
   const cbxDelete = document.getElementById('cbxDeleteToolbar');
   cbxDelete.checked = showDeleteToolbar;
   cbxDelete.onchange = async (e) => {
     showDeleteToolbar = e.target.checked;
     await grist.setOption('showDeleteToolbar', showDeleteToolbar);
   };
-  [ "mapSource", "mapCopyright" ].forEach((opt) => {
+  [ "mapSource", "mapCopyright", "crs", "geocoderProvider", "geocoderUrl", "geocoderApiKey", "geocoderDelay" ].forEach((opt) => {
     const ipt = document.getElementById(opt)
     ipt.onchange = async (e) => {
       await grist.setOption(opt, e.target.value);
@@ -1880,6 +6527,35 @@ function onEditOptions() {
     await grist.setOption('additionalLayers', e.target.value);
   };
 
+  const basemapsTextarea = document.getElementById('basemaps');
+  basemapsTextarea.value = basemapsConfig.length > 0 ? JSON.stringify(basemapsConfig, null, 2) : '';
+  basemapsTextarea.onchange = async (e) => {
+    await grist.setOption('basemaps', e.target.value);
+  };
+
+  const thematicTextarea = document.getElementById('thematicStyle');
+  thematicTextarea.value = thematicConfig ? JSON.stringify(thematicConfig, null, 2) : '';
+  thematicTextarea.onchange = async (e) => {
+    await grist.setOption('thematicStyle', e.target.value);
+  };
+
+  const popupTemplateTextarea = document.getElementById('popupTemplate');
+  popupTemplateTextarea.value = popupTemplate;
+  popupTemplateTextarea.onchange = async (e) => {
+    await grist.setOption('popupTemplate', e.target.value);
+  };
+  const tooltipTemplateTextarea = document.getElementById('tooltipTemplate');
+  tooltipTemplateTextarea.value = tooltipTemplate;
+  tooltipTemplateTextarea.onchange = async (e) => {
+    await grist.setOption('tooltipTemplate', e.target.value);
+  };
+
+  const legendTextarea = document.getElementById('legendEntries');
+  legendTextarea.value = legendEntriesConfig.length > 0 ? JSON.stringify(legendEntriesConfig, null, 2) : '';
+  legendTextarea.onchange = async (e) => {
+    await grist.setOption('legendEntries', e.target.value);
+  };
+
   const defaultVisTextarea = document.getElementById('defaultLayerVisibility');
   defaultVisTextarea.value = Object.keys(savedLayerVisibility).length > 0
     ? JSON.stringify(savedLayerVisibility, null, 2) : '';
@@ -1894,15 +6570,36 @@ grist.ready({
     "Name",
     { name: "Longitude", type: "Numeric", optional },
     { name: "Latitude", type: "Numeric", optional },
+    {
+      name: "Weight",
+      type: "Numeric",
+      title: "Weight",
+      optional,
+      description: "Heatmap weight, and value summed or averaged by hexagonal bins (coordinate mode only).",
+    },
     {
       name: "GeoJSON",
       type: "Text",
       optional,
       description:
-        "`geometry` attribute of geojson data. If set, `Longitude` and `Latitude` will not be used.",
+        "`geometry` attribute of geojson data, or WKT / EWKT. If set, `Longitude` and `Latitude` will not be used.",
     },
     { name: "Geocode", type: "Bool", title: "Geocode", optional },
     { name: "Address", type: "Text", optional },
+    {
+      name: "ReverseGeocode",
+      type: "Bool",
+      title: "Reverse geocode",
+      optional,
+      description: "When true and Address is empty, Address is filled in from the point or the centroid of the shape.",
+    },
+    {
+      name: "GeocodeStatus",
+      type: "Text",
+      title: "Geocode status",
+      optional,
+      description: "Outcome of geocoding the row: ok, not found, ambiguous (n results) or the error message.",
+    },
     {
       name: "GeocodedAddress",
       type: "Text",
@@ -1939,6 +6636,13 @@ grist.ready({
       allowMultiple: true,
       description: "Columns to display in the hover tooltip (GeoJSON mode only).",
     },
+    {
+      name: "PopupTemplate",
+      type: "Text",
+      title: "Popup template",
+      optional,
+      description: "Popup of the row with {Column} placeholders and Markdown, instead of the Popup template setting.",
+    },
     {
       name: "Label",
       type: "Text",
@@ -1961,6 +6665,62 @@ grist.ready({
       allowMultiple: true,
       description: "Columns to prompt for when a new shape is drawn on the map.",
     },
+    {
+      name: "Area",
+      type: "Numeric",
+      title: "Area",
+      optional,
+      description: "Filled with the area of shapes drawn or edited on the map (in the measurement unit).",
+    },
+    {
+      name: "Length",
+      type: "Numeric",
+      title: "Length",
+      optional,
+      description: "Filled with the length of lines drawn or edited on the map (in the measurement unit).",
+    },
+    {
+      name: "Perimeter",
+      type: "Numeric",
+      title: "Perimeter",
+      optional,
+      description: "Filled with the perimeter of polygons drawn or edited on the map (in the measurement unit).",
+    },
+    {
+      name: "CircleCenter",
+      type: "Any",
+      title: "Circle centre",
+      optional,
+      description: "Filled with the centre ([longitude, latitude]) of circles drawn on the map.",
+    },
+    {
+      name: "CircleRadius",
+      type: "Numeric",
+      title: "Circle radius",
+      optional,
+      description: "Filled with the radius in metres of circles drawn on the map.",
+    },
+    {
+      name: "StartDate",
+      type: "Date,DateTime",
+      title: "Start date",
+      optional,
+      description: "Date from which the time slider shows the row (blank = always before End date).",
+    },
+    {
+      name: "EndDate",
+      type: "Date,DateTime",
+      title: "End date",
+      optional,
+      description: "Date until which the time slider shows the row (blank = from Start date on).",
+    },
+    {
+      name: "Date",
+      type: "Date,DateTime",
+      title: "Date",
+      optional,
+      description: "Single date on which the time slider shows the row, when Start date and End date are not mapped.",
+    },
   ],
   allowSelectBy: true,
   onEditOptions
@@ -1975,14 +6735,64 @@ grist.onOptions((options, interaction) => {
   }
   showPrintButton = options?.showPrintButton ?? false;
   applyPrintButtonVisibility();
+  showLegend = options?.showLegend ?? false;
+  showExportButton = options?.showExportButton ?? false;
+  showImportButton = options?.showImportButton ?? false;
+  showSelectionTool = options?.showSelectionTool ?? false;
+  showSearch = options?.showSearch ?? false;
+  showMeasureTool = options?.showMeasureTool ?? false;
+  showPopupEdit = options?.showPopupEdit ?? false;
+  showGallery = options?.showGallery ?? false;
+  photoMarkers = options?.photoMarkers ?? false;
+  showGeometryTools = options?.showGeometryTools ?? false;
+  circleSegments = Math.min(360, Math.max(8, Math.round(Number(options?.circleSegments) || 64)));
+  document.getElementById("circleSegments").value = circleSegments;
+  circleProperties = options?.circleProperties ?? false;
+  areaUnit = options?.areaUnit ?? 'm2';
+  document.getElementById("selAreaUnit").value = areaUnit;
+  lengthUnit = options?.lengthUnit ?? 'm';
+  document.getElementById("selLengthUnit").value = lengthUnit;
+  pointDisplay = options?.pointDisplay ?? 'markers';
+  document.getElementById("selPointDisplay").value = pointDisplay;
+  hexbinAggregate = options?.hexbinAggregate ?? 'count';
+  document.getElementById("selHexbinAggregate").value = hexbinAggregate;
+  hexbinSize = Number(options?.hexbinSize) || 20;
+  document.getElementById("hexbinSize").value = hexbinSize;
   showDrawToolbar = options?.showDrawToolbar ?? false;
   showDeleteToolbar = options?.showDeleteToolbar ?? false;
+  snapTolerance = Math.max(0, Number(options?.snapTolerance) || 0);
+  document.getElementById("snapTolerance").value = snapTolerance;
+  editSharedBoundaries = options?.editSharedBoundaries ?? false;
+  reverseGeocodeNewShapes = options?.reverseGeocodeNewShapes ?? false;
+  geocodeBoundingBox = options?.geocodeBoundingBox ?? false;
+  showTimeSlider = options?.showTimeSlider ?? false;
+  timeStep = options?.timeStep ?? 'day';
+  document.getElementById("selTimeStep").value = timeStep;
+  timeCumulative = options?.timeCumulative ?? false;
+  publishTimeRows = options?.publishTimeRows ?? false;
+  overzoomTiles = options?.overzoomTiles ?? false;
+  tileMaxNativeZoom = parseZoomSetting(options?.tileMaxNativeZoom, 19);
+  document.getElementById("tileMaxNativeZoom").value = tileMaxNativeZoom;
+  tileMaxZoom = parseZoomSetting(options?.tileMaxZoom, 22);
+  document.getElementById("tileMaxZoom").value = tileMaxZoom;
   const newSource = options?.mapSource ?? mapSource;
   mapSource = newSource;
   document.getElementById("mapSource").value = mapSource;
   const newCopyright = options?.mapCopyright ?? mapCopyright;
   mapCopyright = newCopyright
   document.getElementById("mapCopyright").value = mapCopyright;
+  tableCrs = options?.crs ?? '';
+  document.getElementById("crs").value = tableCrs;
+  geocoderProvider = options?.geocoderProvider ?? '';
+  document.getElementById("geocoderProvider").value = geocoderProvider;
+  geocoderUrl = options?.geocoderUrl ?? '';
+  document.getElementById("geocoderUrl").value = geocoderUrl;
+  geocoderApiKey = options?.geocoderApiKey ?? '';
+  document.getElementById("geocoderApiKey").value = geocoderApiKey;
+  const newDelay = parseFloat(options?.geocoderDelay);
+  geocoderDelay = isNaN(newDelay) || newDelay < 0 ? 1000 : newDelay;
+  document.getElementById("geocoderDelay").value = geocoderDelay;
+  geocoder = createGeocoder(geocoderProvider || urlGeocoderProvider, geocoderUrl, geocoderApiKey);
   // Load additional layers config
   const layersJson = options?.additionalLayers;
   if (layersJson) {
@@ -1994,6 +6804,51 @@ grist.onOptions((options, interaction) => {
   }
   document.getElementById("additionalLayers").value =
     additionalLayersConfig.length > 0 ? JSON.stringify(additionalLayersConfig, null, 2) : '';
+  // Load basemaps and map services config
+  const basemapsJson = options?.basemaps;
+  basemapsConfig = [];
+  if (basemapsJson) {
+    try {
+      const parsed = JSON.parse(basemapsJson);
+      basemapsConfig = (Array.isArray(parsed) ? parsed : [parsed]).filter(config => config && config.url);
+    } catch (e) {
+      console.error("Invalid basemaps JSON:", e);
+    }
+  }
+  document.getElementById("basemaps").value =
+    basemapsConfig.length > 0 ? JSON.stringify(basemapsConfig, null, 2) : '';
+  selectedBasemap = options?.basemap ?? '';
+  // Load thematic style config
+  const thematicJson = options?.thematicStyle;
+  thematicConfig = null;
+  if (thematicJson) {
+    try {
+      thematicConfig = JSON.parse(thematicJson);
+    } catch (e) {
+      console.error("Invalid thematic style JSON:", e);
+    }
+  }
+  document.getElementById("thematicStyle").value =
+    thematicConfig ? JSON.stringify(thematicConfig, null, 2) : '';
+  popupTemplate = options?.popupTemplate ?? '';
+  document.getElementById("popupTemplate").value = popupTemplate;
+  tooltipTemplate = options?.tooltipTemplate ?? '';
+  document.getElementById("tooltipTemplate").value = tooltipTemplate;
+  // Load custom legend entries
+  const legendJson = options?.legendEntries;
+  legendEntriesConfig = [];
+  if (legendJson) {
+    try {
+      // A single entry may be given without the enclosing array
+      const parsed = JSON.parse(legendJson);
+      legendEntriesConfig = (Array.isArray(parsed) ? parsed : [parsed])
+        .filter(entry => entry && typeof entry === 'object' && !Array.isArray(entry));
+    } catch (e) {
+      console.error("Invalid legend entries JSON:", e);
+    }
+  }
+  document.getElementById("legendEntries").value =
+    legendEntriesConfig.length > 0 ? JSON.stringify(legendEntriesConfig, null, 2) : '';
   // Load default layer visibility — seeds savedLayerVisibility on every fresh page load
   const defaultVisJson = options?.defaultLayerVisibility;
   if (defaultVisJson) {